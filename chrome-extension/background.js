@@ -1,6 +1,10 @@
 // Background script for Video Downloader Assistant
 console.log('🚀 Video Downloader Assistant background script starting...');
 
+// Constants and the HLS/DASH parser are shared with the server; StreamUtils
+// reads captured manifests with that parser
+importScripts('shared/constants.js', 'shared/manifest-parser.js', 'shared/utils.js');
+
 // =============================================================================
 // VIDEO MANAGEMENT SYSTEM
 // =============================================================================
@@ -636,6 +640,35 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse(cookieResult);
           break;
 
+        case 'submitVideoJob':
+          // Content scripts run inside web pages, so the API token stays
+          // here and the job is posted on their behalf
+          sendResponse(await submitVideoJob(request.payload));
+          break;
+
+        case 'downloadJobOutput':
+          // Job links carry their access key, a link in the page's DOM
+          // would hand it to the page
+          sendResponse(await downloadJobOutput(request.downloadUrl));
+          break;
+
+        // Pairing and token management from the popup
+        case 'getPairingStatus':
+          sendResponse({ success: true, paired: !!(await getApiToken()) });
+          break;
+
+        case 'pairWithServer':
+          sendResponse(await pairWithServer(request.code));
+          break;
+
+        case 'listApiTokens':
+          sendResponse(await listApiTokens());
+          break;
+
+        case 'revokeApiToken':
+          sendResponse(await revokeApiToken(request.tokenId));
+          break;
+
         case 'getBestStreamUrl':
           // Get the best stream URL for a tab
           const streamTabId = request.tabId || sender.tab?.id;
@@ -647,6 +680,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           });
           break;
 
+        case 'analyzeTabManifest':
+          // Audio tracks and qualities of the tab's captured manifest
+          sendResponse(await analyzeTabManifest(request.tabId || sender.tab?.id));
+          break;
+
         // Legacy popup handlers (simplified for video downloader)
         case 'getConsentStatus':
           sendResponse({
@@ -683,6 +721,218 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true;
 });
 
+// =============================================================================
+// SERVER PAIRING
+// =============================================================================
+
+const AUTH_ENDPOINT = 'http://localhost:3000/api/auth';
+const VIDEO_PROCESS_ENDPOINT = 'http://localhost:3000/api/video/process';
+const VIDEO_DOWNLOAD_ENDPOINT = 'http://localhost:3000/api/video/download/';
+
+// Bearer token from pairing, every API route requires it
+async function getApiToken() {
+  const { apiToken } = await chrome.storage.local.get('apiToken');
+  return apiToken || null;
+}
+
+async function authHeaders() {
+  const apiToken = await getApiToken();
+  if (!apiToken) {
+    throw new Error('Extension is not paired with the server, enter the pairing code in the popup');
+  }
+  return { Authorization: `Bearer ${apiToken}` };
+}
+
+// Forget the token and the session that was issued with it
+async function clearPairing() {
+  await chrome.storage.local.remove(['apiToken', 'serverSession']);
+}
+
+async function pairWithServer(code) {
+  const response = await fetch(`${AUTH_ENDPOINT}/pair`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      code,
+      name: `Chrome extension ${chrome.runtime.getManifest().version}`
+    })
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    return { success: false, error: result.errors?.[0]?.message || result.message };
+  }
+
+  await clearPairing();
+  await chrome.storage.local.set({ apiToken: result.token });
+  console.log('🔐 Paired with server as', result.name);
+  return { success: true };
+}
+
+async function listApiTokens() {
+  const response = await fetch(`${AUTH_ENDPOINT}/tokens`, {
+    headers: await authHeaders()
+  });
+  const result = await response.json();
+
+  if (response.status === 401) {
+    await clearPairing();
+  }
+  if (!response.ok) {
+    return { success: false, error: result.message };
+  }
+  return { success: true, tokens: result.tokens };
+}
+
+async function revokeApiToken(tokenId) {
+  const response = await fetch(`${AUTH_ENDPOINT}/tokens/${encodeURIComponent(tokenId)}`, {
+    method: 'DELETE',
+    headers: await authHeaders()
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    return { success: false, error: result.message };
+  }
+  if (result.current) {
+    await clearPairing();
+  }
+  return { success: true, current: result.current };
+}
+
+// =============================================================================
+// SERVER SESSION
+// =============================================================================
+
+const SESSION_ENDPOINT = 'http://localhost:3000/api/session';
+const SESSION_RENEW_MARGIN = 60 * 1000; // Renew a minute before expiry
+
+let pendingHandshake = null;
+
+// Random id created on first use and kept for the lifetime of the install
+async function getInstallId() {
+  const { installId } = await chrome.storage.local.get('installId');
+  if (installId) return installId;
+
+  const newInstallId = crypto.randomUUID();
+  await chrome.storage.local.set({ installId: newInstallId });
+  return newInstallId;
+}
+
+async function handshake() {
+  const response = await fetch(SESSION_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await authHeaders())
+    },
+    body: JSON.stringify({
+      installId: await getInstallId(),
+      extensionVersion: chrome.runtime.getManifest().version
+    })
+  });
+
+  if (response.status === 401) {
+    await clearPairing();
+    throw new Error('Server rejected the API token, pair the extension again');
+  }
+  if (!response.ok) {
+    throw new Error(`Session handshake failed with status: ${response.status}`);
+  }
+
+  const { sessionId, expiresAt } = await response.json();
+  const serverSession = { sessionId, expiresAt };
+  await chrome.storage.local.set({ serverSession });
+
+  console.log('🔑 Server session issued, expires at', expiresAt);
+  return serverSession;
+}
+
+// Stored session while it is still valid, otherwise a fresh handshake. A
+// handshake ends the install's previous session, so concurrent callers
+// share the one in flight.
+async function getServerSession(renew = false) {
+  if (!renew) {
+    const { serverSession } = await chrome.storage.local.get('serverSession');
+    if (
+      serverSession &&
+      Date.parse(serverSession.expiresAt) - SESSION_RENEW_MARGIN > Date.now()
+    ) {
+      return serverSession;
+    }
+  }
+
+  if (!pendingHandshake) {
+    pendingHandshake = handshake().finally(() => {
+      pendingHandshake = null;
+    });
+  }
+  return pendingHandshake;
+}
+
+// POST JSON with the token and session headers, handshaking again once when
+// the server rejects the session (expired, or lost with the server's data
+// folder)
+async function postWithSession(url, payload) {
+  const send = async serverSession => fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Session-Id': serverSession.sessionId,
+      ...(await authHeaders())
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const response = await send(await getServerSession());
+  if (response.status !== 401) return response;
+
+  const { code } = await response.clone().json().catch(() => ({}));
+  if (!code?.startsWith('SESSION_')) {
+    await clearPairing();
+    return response;
+  }
+
+  console.log('🔑 Session rejected by server, renewing');
+  return send(await getServerSession(true));
+}
+
+// Post a job for a content script. The server's answer is passed back as
+// status and parsed body, never the credentials that were sent.
+async function submitVideoJob(payload) {
+  const response = await postWithSession(VIDEO_PROCESS_ENDPOINT, payload);
+  const text = await response.text();
+
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Not JSON, the raw text is kept for the error message
+  }
+
+  return {
+    success: true,
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    data,
+    text
+  };
+}
+
+// Save a finished job for a content script. Only links to this server's
+// downloads are followed, the server names the file.
+async function downloadJobOutput(downloadUrl) {
+  if (typeof downloadUrl !== 'string' || !downloadUrl.startsWith(VIDEO_DOWNLOAD_ENDPOINT)) {
+    return { success: false, error: 'Not a download link from the server' };
+  }
+
+  const downloadId = await chrome.downloads.download({ url: downloadUrl });
+  return { success: true, downloadId };
+}
+
 // Helper functions to get M3U8 and stream data
 async function getM3U8UrlsForTab(tabId) {
   const streams = networkMonitor.getTabStreams(tabId);
@@ -738,6 +988,42 @@ async function getBestStreamUrlForTab(tabId) {
   return null;
 }
 
+// Fetch the tab's best HLS or DASH manifest and list what it offers. The
+// fetch runs here so the page's CORS rules do not apply.
+async function analyzeTabManifest(tabId) {
+  const stream = networkMonitor.getBestQualityStream(tabId);
+  if (!stream || (stream.format !== 'HLS' && stream.format !== 'DASH')) {
+    return { success: false, error: 'No HLS or DASH manifest captured for this tab' };
+  }
+
+  try {
+    const response = await fetch(stream.url, { credentials: 'include' });
+    if (!response.ok) {
+      return { success: false, error: `Manifest request failed with status ${response.status}` };
+    }
+
+    const content = await response.text();
+    const analysis = stream.format === 'HLS'
+      ? StreamUtils.parseM3U8(content, stream.url)
+      : StreamUtils.parseMPD(content, stream.url);
+    if (!analysis) {
+      return { success: false, error: 'Manifest could not be parsed' };
+    }
+
+    // The full playlist is not needed by content scripts
+    const { type, streams, hasMultipleQualities, audioTracks } = analysis;
+    console.log(`🔍 Tab ${tabId}: ${type} manifest with ${audioTracks.length} audio tracks`);
+    return {
+      success: true,
+      streamUrl: stream.url,
+      analysis: { type, streams, hasMultipleQualities, audioTracks }
+    };
+  } catch (error) {
+    console.error('❌ Failed to analyze manifest:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Handle video download request - send to server for processing
 async function handleVideoDownload(request) {
   console.log('🎬 Download request for video:', request.videoId);
@@ -801,7 +1087,6 @@ async function handleVideoDownload(request) {
       m3u8Urls: await getM3U8UrlsForTab(tabId),
       detectedStreams: await getStreamDataForTab(tabId),
       cookies: cleanCookies,
-      sessionId: `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
       metadata: {
         width: video.width,
         height: video.height,
@@ -835,13 +1120,7 @@ async function handleVideoDownload(request) {
       throw new Error(`Invalid video URL: "${payload.videoUrl}". Original src: "${video.src}"`);
     }
 
-    const response = await fetch(`http://localhost:3000/api/video/process`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
-    });
+    const response = await postWithSession(VIDEO_PROCESS_ENDPOINT, payload);
 
     console.log(`📡 Server response: ${response.status} ${response.statusText}`);
 
@@ -879,7 +1158,7 @@ async function handleVideoDownload(request) {
       message: result.message || 'Video processing started',
       processId: result.processId,
       downloadUrl: result.downloadUrl,
-      estimatedTime: result.estimatedTime,
+      progressUrl: result.progressUrl,
       videoId: request.videoId,
       groupedVideos: result.groupedVideos || [],
       originalM3U8Count: result.originalM3U8Count || 0,
@@ -925,7 +1204,7 @@ async function getCookiesForDomain(domain) {
 
 // Handle video processing started notification from content script
 function handleVideoProcessingStarted(request, sender) {
-  const { videoId, processId, downloadUrl, title } = request;
+  const { videoId, processId, downloadUrl, progressUrl, title } = request;
   const tabId = sender.tab?.id;
 
   if (!tabId) {
@@ -941,6 +1220,7 @@ function handleVideoProcessingStarted(request, sender) {
     storedVideo.selected.processing = {
       processId,
       downloadUrl,
+      progressUrl,
       status: 'processing',
       startTime: Date.now()
     };
@@ -6,6 +6,7 @@ window.EXTENSION_CONFIG = {
   ENDPOINTS: {
     VIDEO_PROCESS: '/api/video/process',
     VIDEO_DOWNLOAD: '/api/video/download',
-    VIDEO_STATUS: '/api/video/status'
+    VIDEO_STATUS: '/api/video/status',
+    VIDEO_PROGRESS: '/api/video/progress'
   }
 };
\ No newline at end of file
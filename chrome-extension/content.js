@@ -517,7 +517,38 @@ class VideoDetectionManager {
       this.selectVideo(videoId);
     });
 
+    // Clip button, the range starts where the video is currently playing
+    const clipBtn = document.createElement('button');
+    clipBtn.className = 'video-clip-btn';
+    clipBtn.textContent = '✂️ Download clip';
+    clipBtn.style.cssText = `
+      position: absolute;
+      top: calc(50% + 36px);
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 6px 14px;
+      background: rgba(255, 255, 255, 0.9);
+      color: #1976d2;
+      border: none;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 500;
+      cursor: pointer;
+      pointer-events: auto;
+    `;
+
+    clipBtn.addEventListener('click', e => {
+      e.stopPropagation();
+      const startTime = Math.floor(element?.currentTime || 0);
+      const duration = element?.duration;
+      const endTime = Number.isFinite(duration) && duration > startTime
+        ? Math.min(startTime + 300, Math.floor(duration))
+        : startTime + 300;
+      this.selectVideo(videoId, { clip: { startTime, endTime } });
+    });
+
     overlay.appendChild(downloadBtn);
+    overlay.appendChild(clipBtn);
 
     // Position overlay relative to video
     this.positionOverlay(element, overlay);
@@ -585,7 +616,7 @@ class VideoDetectionManager {
     }
   }
 
-  async selectVideo(videoId) {
+  async selectVideo(videoId, { clip = null } = {}) {
     const videoData = this.detectedVideos.get(videoId);
     if (!videoData) return;
 
@@ -598,11 +629,66 @@ class VideoDetectionManager {
     // Add visual selection indicator
     this.addSelectionIndicator(videoData.element);
 
+    // The consent dialog offers the audio languages of the tab's manifest
+    if (!videoData.streamAnalysis) {
+      videoData.streamAnalysis = await this.requestStreamAnalysis();
+    }
+
     // Show consent dialog and process video
-    await this.showConsentAndProcessVideo(videoData);
+    await this.showConsentAndProcessVideo(videoData, clip);
   }
 
-  async showConsentAndProcessVideo(videoData) {
+  // Manifest analysis from the background script, null when the tab has no
+  // HLS or DASH manifest
+  async requestStreamAnalysis() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'analyzeTabManifest' });
+      return response?.success ? response.analysis : null;
+    } catch (error) {
+      console.error('❌ Failed to analyze stream manifest:', error);
+      return null;
+    }
+  }
+
+  // m:ss (or h:mm:ss) for the clip range inputs
+  formatClipTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // Seconds from "h:mm:ss", "m:ss" or plain seconds, NaN when unreadable
+  parseClipTime(value) {
+    const parts = value.trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+      return NaN;
+    }
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  // Audio languages the manifest lists, as analyzeTabManifest reports them.
+  // The server only takes well-formed language tags.
+  audioLanguageTracks(videoData) {
+    return (videoData.streamAnalysis?.audioTracks || [])
+      .filter(track => /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(track.language || ''));
+  }
+
+  // Request fields for the audio choice: '' keeps the stream's default,
+  // '*' downloads every language
+  audioRequestFields(choice, audioTracks) {
+    if (choice === '*') {
+      return {
+        audioLanguages: [...new Set(audioTracks.map(track => track.language))].slice(0, 10),
+        multipleAudio: true
+      };
+    }
+    return choice ? { audioLanguages: [choice] } : null;
+  }
+
+  async showConsentAndProcessVideo(videoData, clip = null) {
+    const audioTracks = this.audioLanguageTracks(videoData);
+
     return new Promise(resolve => {
       // Create consent dialog
       const dialog = document.createElement('div');
@@ -638,6 +724,21 @@ class VideoDetectionManager {
           To download "<strong>${videoData.title}</strong>", we need your permission to access cookies from this website.
           Cookies may be required for authentication to download the video.
         </p>
+        ${clip ? `
+        <div style="display: flex; align-items: center; gap: 8px; color: #333; font-size: 14px;">
+          ✂️ Clip from
+          <input id="clip-start" value="${this.formatClipTime(clip.startTime)}" style="width: 70px; padding: 4px 6px; border: 1px solid #ddd; border-radius: 4px;">
+          to
+          <input id="clip-end" value="${this.formatClipTime(clip.endTime)}" style="width: 70px; padding: 4px 6px; border: 1px solid #ddd; border-radius: 4px;">
+        </div>
+        <div id="clip-error" style="color: #d32f2f; font-size: 12px; margin-top: 6px;"></div>
+        ` : ''}
+        ${audioTracks.length > 1 ? `
+        <div style="display: flex; align-items: center; gap: 8px; color: #333; font-size: 14px; margin-top: 12px;">
+          🔊 Audio
+          <select id="audio-language" style="padding: 4px 6px; border: 1px solid #ddd; border-radius: 4px;"></select>
+        </div>
+        ` : ''}
         <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 20px;">
           <button id="cancel-btn" style="
             padding: 10px 20px;
@@ -662,6 +763,16 @@ class VideoDetectionManager {
       dialog.appendChild(dialogContent);
       document.body.appendChild(dialog);
 
+      // Labels come from the page's manifest, so options are built as nodes
+      const audioSelect = dialogContent.querySelector('#audio-language');
+      if (audioSelect) {
+        audioSelect.add(new Option('Default', ''));
+        audioTracks.forEach(track => {
+          audioSelect.add(new Option(track.label || track.language, track.language));
+        });
+        audioSelect.add(new Option('All languages', '*'));
+      }
+
       // Handle button clicks
       dialogContent
         .querySelector('#cancel-btn')
@@ -673,6 +784,18 @@ class VideoDetectionManager {
       dialogContent
         .querySelector('#consent-btn')
         .addEventListener('click', async () => {
+          let range = null;
+          if (clip) {
+            const startTime = this.parseClipTime(dialogContent.querySelector('#clip-start').value);
+            const endTime = this.parseClipTime(dialogContent.querySelector('#clip-end').value);
+            if (Number.isNaN(startTime) || Number.isNaN(endTime) || endTime <= startTime) {
+              dialogContent.querySelector('#clip-error').textContent =
+                'Enter a start and end time (m:ss) with the end after the start';
+              return;
+            }
+            range = { startTime, endTime };
+          }
+
           document.body.removeChild(dialog);
 
           // Show processing indicator
@@ -680,7 +803,10 @@ class VideoDetectionManager {
 
           // Get cookies and process video
           try {
-            await this.processVideoWithCookies(videoData);
+            const audio = audioSelect
+              ? this.audioRequestFields(audioSelect.value, audioTracks)
+              : null;
+            await this.processVideoWithCookies(videoData, range, audio);
             resolve(true);
           } catch (error) {
             console.error('❌ Error processing video:', error);
@@ -735,7 +861,7 @@ class VideoDetectionManager {
     document.body.appendChild(indicator);
   }
 
-  async processVideoWithCookies(videoData) {
+  async processVideoWithCookies(videoData, clip = null, audio = null) {
     console.log('🚀 Starting processVideoWithCookies for:', videoData.title);
     console.log('📋 Video data:', {
       id: videoData.id,
@@ -762,7 +888,7 @@ class VideoDetectionManager {
 
       // Send video data with cookies to server
       console.log('📤 About to send video to server...');
-      await this.sendVideoToServerWithCookies(videoData, cookies);
+      await this.sendVideoToServerWithCookies(videoData, cookies, clip, audio);
       console.log('✅ Successfully sent video to server');
 
     } catch (error) {
@@ -963,7 +1089,32 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
 
   // Uses the parent class selectVideo method which handles consent and processing
 
-  async sendVideoToServerWithCookies(videoData, cookies) {
+  // Subtitle and caption <track> elements, as StreamAnalyzer reports them
+  // or read from the video element. Blob and data urls cannot be fetched
+  // by the server.
+  collectSubtitleTracks(videoData) {
+    const tracks = videoData.streamAnalysis?.subtitles?.length
+      ? videoData.streamAnalysis.subtitles
+      : Array.from(videoData.element?.querySelectorAll('track') || [])
+          .filter(track => track.kind === 'subtitles' || track.kind === 'captions')
+          .map(track => ({
+            src: track.src,
+            label: track.label,
+            language: track.srclang,
+            kind: track.kind
+          }));
+
+    return tracks
+      .filter(track => /^https?:/.test(track.src || ''))
+      .map(track => ({
+        url: track.src,
+        language: track.language || null,
+        label: track.label || null,
+        kind: track.kind
+      }));
+  }
+
+  async sendVideoToServerWithCookies(videoData, cookies, clip = null, audio = null) {
     try {
       console.log('📤 sendVideoToServerWithCookies called');
       console.log('   📋 Video data:', videoData);
@@ -1068,8 +1219,10 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
         duration: videoData.duration,
         m3u8Urls: m3u8Data?.m3u8Urls || [],
         detectedStreams: m3u8Data?.allStreams || [],
+        subtitles: this.collectSubtitleTracks(videoData),
         cookies: cleanCookies,
-        sessionId: `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+        ...clip,
+        ...audio,
         metadata: {
           width: videoData.width,
           height: videoData.height,
@@ -1094,7 +1247,7 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
       // Quick server connectivity check
       console.log('🔍 Testing server connectivity...');
       try {
-        const testResponse = await fetch(config.API_SERVER_URL, {
+        const testResponse = await fetch(`${config.API_SERVER_URL}/health`, {
           method: 'GET',
           timeout: 3000
         });
@@ -1109,17 +1262,14 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
 
       let response;
       try {
-        console.log('🔄 Attempting to serialize and send payload...');
-        const payloadJson = JSON.stringify(payload);
-        console.log('✅ Payload serialized successfully, length:', payloadJson.length);
-
-        response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: payloadJson,
-        });
+        console.log('🔄 Attempting to send payload...');
+
+        // The background script holds the API token and server session and
+        // posts the job, the token never reaches the page
+        response = await chrome.runtime.sendMessage({ action: 'submitVideoJob', payload });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not reach the background script');
+        }
 
         console.log('📡 Fetch completed, status:', response.status, response.statusText);
       } catch (fetchError) {
@@ -1128,40 +1278,32 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
       }
 
       if (response.ok) {
-        try {
-          const result = await response.json();
-          console.log('✅ Video processing started:', result);
-
-        // Show success notification with download option
-        this.showNotificationWithDownload(
-          'Demo processing completed!',
-          `"${videoData.title}" is ready for download`,
-          result.downloadUrl,
-          result.processId
-        );
-
-          // Store processing ID for later download
-          await chrome.runtime.sendMessage({
-            action: 'videoProcessingStarted',
-            videoId: videoData.id,
-            processId: result.processId,
-            downloadUrl: result.downloadUrl,
-            title: videoData.title,
-          });
-        } catch (jsonError) {
-          console.error('❌ Failed to parse server response:', jsonError);
-          throw new Error(`Server response parsing failed: ${jsonError.message}`);
+        const result = response.data;
+        if (!result) {
+          throw new Error('Server response parsing failed: response is not JSON');
         }
+        console.log('✅ Video processing started:', result);
+
+        // Follow the job live until its download is ready
+        this.showProgressNotification(videoData.title, result);
+
+        // Store processing ID for later download
+        await chrome.runtime.sendMessage({
+          action: 'videoProcessingStarted',
+          videoId: videoData.id,
+          processId: result.processId,
+          downloadUrl: result.downloadUrl,
+          progressUrl: result.progressUrl,
+          title: videoData.title,
+        });
       } else {
         let errorText = `Server responded with status: ${response.status}`;
-        try {
-          const errorData = await response.json();
-          errorText = errorData.message || errorData.error || errorText;
-          console.error('❌ Server error response:', errorData);
-        } catch (e) {
-          const rawResponse = await response.text();
-          console.error('❌ Raw server error response:', rawResponse);
-          errorText += ` - ${rawResponse}`;
+        if (response.data) {
+          errorText = response.data.message || response.data.error || errorText;
+          console.error('❌ Server error response:', response.data);
+        } else {
+          console.error('❌ Raw server error response:', response.text);
+          errorText += ` - ${response.text}`;
         }
         throw new Error(errorText);
       }
@@ -1209,6 +1351,198 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
     }, 4000);
   }
 
+  showProgressNotification(videoTitle, job) {
+    const config = window.EXTENSION_CONFIG;
+    const progressUrl =
+      job.progressUrl ||
+      `${config.API_SERVER_URL}${config.ENDPOINTS.VIDEO_PROGRESS}/${job.processId}`;
+
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      background: #2196f3;
+      color: white;
+      padding: 16px 20px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      z-index: 10001;
+      width: 300px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+    `;
+
+    notification.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 4px;">Processing video...</div>
+      <div class="progress-title" style="opacity: 0.9; margin-bottom: 8px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+      <div style="background: rgba(255, 255, 255, 0.3); border-radius: 4px; height: 6px; overflow: hidden;">
+        <div class="progress-bar" style="background: white; height: 100%; width: 0%; transition: width 0.3s ease;"></div>
+      </div>
+      <div class="progress-details" style="opacity: 0.9; font-size: 12px; margin-top: 6px;">Waiting for server...</div>
+      <button class="progress-cancel" style="
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        color: white;
+        padding: 6px 12px;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 500;
+        width: 100%;
+        margin-top: 10px;
+      ">✖ Cancel</button>
+      <button class="progress-stop" style="
+        display: none;
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        color: white;
+        padding: 6px 12px;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 500;
+        width: 100%;
+        margin-top: 6px;
+      ">■ Stop recording</button>
+    `;
+    notification.querySelector('.progress-title').textContent = `"${videoTitle}"`;
+
+    document.body.appendChild(notification);
+
+    const progressBar = notification.querySelector('.progress-bar');
+    const details = notification.querySelector('.progress-details');
+    const cancelBtn = notification.querySelector('.progress-cancel');
+    const stopBtn = notification.querySelector('.progress-stop');
+
+    if (!job.cancelUrl) {
+      cancelBtn.style.display = 'none';
+    }
+
+    // The server answers once the job has stopped, the 'cancelled' event
+    // then closes this notification
+    cancelBtn.addEventListener('click', async () => {
+      cancelBtn.disabled = true;
+      cancelBtn.textContent = 'Cancelling...';
+
+      try {
+        const response = await fetch(job.cancelUrl, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || `Server responded with status: ${response.status}`);
+        }
+      } catch (error) {
+        console.error('❌ Failed to cancel processing:', error);
+        details.textContent = `Could not cancel: ${error.message}`;
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = '✖ Cancel';
+      }
+    });
+
+    // Live streams are recorded until stopped, the server then finishes the
+    // file with what it has and sends 'completed'
+    stopBtn.addEventListener('click', async () => {
+      stopBtn.disabled = true;
+      stopBtn.textContent = 'Stopping...';
+
+      try {
+        const response = await fetch(job.stopUrl, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || `Server responded with status: ${response.status}`);
+        }
+      } catch (error) {
+        console.error('❌ Failed to stop recording:', error);
+        details.textContent = `Could not stop: ${error.message}`;
+        stopBtn.disabled = false;
+        stopBtn.textContent = '■ Stop recording';
+      }
+    });
+
+    const formatBytes = (bytes) => {
+      if (!bytes) return '0 B';
+      const units = ['B', 'KB', 'MB', 'GB'];
+      const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+      return `${(bytes / Math.pow(1024, exponent)).toFixed(1)} ${units[exponent]}`;
+    };
+
+    const render = (data) => {
+      progressBar.style.width = `${data.progress || 0}%`;
+
+      stopBtn.style.display = data.status === 'recording' && job.stopUrl ? 'block' : 'none';
+
+      if (data.status === 'pending' && data.queuePosition) {
+        details.textContent = `Queued, position ${data.queuePosition}`;
+        return;
+      }
+      if (data.status === 'recording') {
+        const seconds = data.recordedSeconds || 0;
+        details.textContent = [
+          `🔴 Recording ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+          formatBytes(data.bytesDownloaded)
+        ].join(' • ');
+        return;
+      }
+      if (data.status !== 'downloading') {
+        details.textContent = `Status: ${data.status}`;
+        return;
+      }
+
+      const parts = [`${data.segmentsDownloaded}/${data.totalSegments || '?'} segments`];
+      parts.push(formatBytes(data.bytesDownloaded));
+      if (data.bytesPerSecond) parts.push(`${formatBytes(data.bytesPerSecond)}/s`);
+      if (data.etaSeconds !== null && data.etaSeconds !== undefined) {
+        parts.push(`ETA ${Math.floor(data.etaSeconds / 60)}:${String(data.etaSeconds % 60).padStart(2, '0')}`);
+      }
+      details.textContent = parts.join(' • ');
+    };
+
+    const close = () => {
+      events.close();
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    };
+
+    const events = new EventSource(progressUrl);
+
+    events.addEventListener('state', (event) => render(JSON.parse(event.data)));
+    events.addEventListener('progress', (event) => render(JSON.parse(event.data)));
+
+    events.addEventListener('completed', () => {
+      close();
+      this.showNotificationWithDownload(
+        'Video ready!',
+        `"${videoTitle}" is ready for download`,
+        job.downloadUrl,
+        job.processId
+      );
+    });
+
+    events.addEventListener('failed', (event) => {
+      const data = JSON.parse(event.data);
+      close();
+      this.showNotification(
+        'Processing failed',
+        data.error?.message || `Failed to process "${videoTitle}"`
+      );
+    });
+
+    events.addEventListener('cancelled', () => {
+      close();
+      this.showNotification('Processing cancelled', `"${videoTitle}" was cancelled`);
+    });
+
+    events.onerror = () => {
+      // EventSource reconnects on its own, only give up once it stops trying
+      if (events.readyState === EventSource.CLOSED) {
+        close();
+        this.showNotification('Progress unavailable', 'Lost connection to the server');
+      }
+    };
+  }
+
   showNotificationWithDownload(title, message, downloadUrl, processId) {
     // Create a notification with download button
     const notification = document.createElement('div');
@@ -1242,7 +1576,7 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
         font-weight: 500;
         width: 100%;
         transition: background 0.2s ease;
-      ">📥 Download Demo Video</button>
+      ">📥 Download Video</button>
     `;
 
     document.body.appendChild(notification);
@@ -1251,17 +1585,21 @@ class EnhancedVideoDetectionManager extends VideoDetectionManager {
     const downloadBtn = notification.querySelector(
       `#download-btn-${processId}`
     );
-    downloadBtn.addEventListener('click', () => {
-      console.log('🎬 Starting demo download:', downloadUrl);
-
-      // Create a hidden link to trigger download
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = `demo-video-${processId}.mp4`;
-      link.style.display = 'none';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+    downloadBtn.addEventListener('click', async () => {
+      console.log('🎬 Starting download:', processId);
+
+      // The background script downloads it, the link carries the job's
+      // access key and must not end up in the page's DOM
+      const response = await chrome.runtime.sendMessage({
+        action: 'downloadJobOutput',
+        downloadUrl
+      });
+
+      if (!response?.success) {
+        console.error('❌ Download failed:', response?.error);
+        downloadBtn.innerHTML = '❌ Download Failed';
+        return;
+      }
 
       // Update button to show download started
       downloadBtn.innerHTML = '✅ Download Started';
@@ -2,8 +2,8 @@
 // NETWORK MONITOR MODULE
 // =============================================================================
 
-const { FEATURES, REQUEST_FILTERS, EVENTS, ANALYSIS_CONFIG } = require('../shared/constants.js');
-const { Logger, URLUtils, EventEmitter, Performance } = require('../shared/utils.js');
+// Classic script, loaded after shared/constants.js, shared/manifest-parser.js
+// and shared/utils.js
 
 /**
  * NetworkMonitor class handles interception and analysis of network requests
@@ -382,6 +382,3 @@ class NetworkMonitor extends EventEmitter {
     Logger.log(`Network monitoring ${enabled ? 'enabled' : 'disabled'}`);
   }
 }
-
-// Export the class
-module.exports = { NetworkMonitor };
\ No newline at end of file
@@ -2,14 +2,14 @@
 // STREAM ANALYZER MODULE
 // =============================================================================
 
-import { FEATURES, STREAM_FORMATS, EVENTS, ANALYSIS_CONFIG, DOWNLOAD_STATUS } from '../shared/constants.js';
-import { Logger, URLUtils, StreamUtils, EventEmitter, AsyncUtils, Performance } from '../shared/utils.js';
+// Classic script, loaded after shared/constants.js, shared/manifest-parser.js
+// and shared/utils.js
 
 /**
  * StreamAnalyzer class analyzes video streams to determine downloadability,
  * quality options, and optimal download strategies
  */
-export class StreamAnalyzer extends EventEmitter {
+class StreamAnalyzer extends EventEmitter {
   constructor() {
     super();
 
@@ -320,10 +320,11 @@ export class StreamAnalyzer extends EventEmitter {
       }
 
       if (manifestContent) {
-        const parsedManifest = this.parseManifest(manifestContent, analysis.format);
+        const parsedManifest = this.parseManifest(manifestContent, analysis.format, analysis.manifestURL);
         if (parsedManifest) {
           analysis.qualityOptions = parsedManifest.streams || [];
           analysis.hasMultipleQualities = parsedManifest.hasMultipleQualities;
+          analysis.audioTracks = parsedManifest.audioTracks || [];
         }
       }
     } catch (error) {
@@ -331,12 +332,12 @@ export class StreamAnalyzer extends EventEmitter {
     }
   }
 
-  parseManifest(content, format) {
+  parseManifest(content, format, manifestURL) {
     switch (format) {
       case 'HLS':
-        return StreamUtils.parseM3U8(content);
+        return StreamUtils.parseM3U8(content, manifestURL);
       case 'DASH':
-        return StreamUtils.parseMPD(content);
+        return StreamUtils.parseMPD(content, manifestURL);
       default:
         return null;
     }
@@ -404,6 +405,13 @@ export class StreamAnalyzer extends EventEmitter {
       });
     }
 
+    if (analysis.audioTracks.length > 1) {
+      analysis.recommendations.push({
+        type: 'info',
+        message: `${analysis.audioTracks.length} audio languages available`
+      });
+    }
+
     if (analysis.subtitles.length > 0) {
       analysis.recommendations.push({
         type: 'info',
@@ -470,7 +478,4 @@ export class StreamAnalyzer extends EventEmitter {
 }
 
 // Create singleton instance
-export const streamAnalyzer = new StreamAnalyzer();
-
-// Export class for testing
-export default StreamAnalyzer;
\ No newline at end of file
+const streamAnalyzer = new StreamAnalyzer();
@@ -3,6 +3,8 @@ class PopupManager {
     this.consentStatus = null;
     this.currentTab = null;
     this.tabVideos = { detected: [], selected: null, count: 0 };
+    this.paired = false;
+    this.apiTokens = [];
     this.init();
   }
 
@@ -10,6 +12,7 @@ class PopupManager {
     try {
       await Promise.all([
         this.loadConsentStatus(),
+        this.loadPairing(),
         this.getCurrentTab(),
         this.loadTabVideos()
       ]);
@@ -65,7 +68,116 @@ class PopupManager {
     });
   }
 
+  // Ask the background script, which owns the token, about pairing
+  sendBackgroundMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response?.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  async loadPairing() {
+    const status = await this.sendBackgroundMessage({ action: 'getPairingStatus' });
+    this.paired = status.paired;
+    this.apiTokens = [];
+
+    if (this.paired) {
+      try {
+        const result = await this.sendBackgroundMessage({ action: 'listApiTokens' });
+        this.apiTokens = result.tokens;
+      } catch (error) {
+        // A revoked token is cleared by the background script
+        const recheck = await this.sendBackgroundMessage({ action: 'getPairingStatus' });
+        this.paired = recheck.paired;
+      }
+    }
+  }
+
+  async handlePair() {
+    const input = document.getElementById('pairing-code');
+    const code = input.value.trim();
+
+    if (!/^\d{6}$/.test(code)) {
+      this.showError('Enter the 6 digit code shown on the server page');
+      return;
+    }
+
+    try {
+      await this.sendBackgroundMessage({ action: 'pairWithServer', code });
+      input.value = '';
+      this.hideError();
+      await this.loadPairing();
+      this.updatePairingSection();
+      this.showSuccess('Paired with the server');
+    } catch (error) {
+      this.showError('Pairing failed: ' + error.message);
+    }
+  }
+
+  async handleRevokeToken(token) {
+    const message = token.current
+      ? 'Unpair this extension? You will need a new pairing code.'
+      : `Revoke access for "${token.name}"?`;
+    if (!confirm(message)) return;
+
+    try {
+      await this.sendBackgroundMessage({ action: 'revokeApiToken', tokenId: token.tokenId });
+      await this.loadPairing();
+      this.updatePairingSection();
+      this.showSuccess(token.current ? 'Extension unpaired' : 'Token revoked');
+    } catch (error) {
+      this.showError('Failed to revoke token: ' + error.message);
+    }
+  }
+
+  updatePairingSection() {
+    document.getElementById('pairing-form').style.display = this.paired ? 'none' : 'block';
+    document.getElementById('paired-info').style.display = this.paired ? 'block' : 'none';
+
+    const tokenList = document.getElementById('token-list');
+    tokenList.innerHTML = '';
+
+    this.apiTokens.forEach(token => {
+      const item = document.createElement('div');
+      item.className = 'token-item';
+
+      const info = document.createElement('div');
+      info.className = 'token-info';
+      const name = document.createElement('div');
+      name.textContent = token.current ? `✅ ${token.name} (this extension)` : token.name;
+      const meta = document.createElement('div');
+      meta.className = 'token-meta';
+      meta.textContent = token.lastUsedAt
+        ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+        : `Paired ${new Date(token.createdAt).toLocaleString()}`;
+      info.append(name, meta);
+
+      const revokeBtn = document.createElement('button');
+      revokeBtn.className = 'btn btn-danger';
+      revokeBtn.textContent = token.current ? 'Unpair' : 'Revoke';
+      revokeBtn.addEventListener('click', () => this.handleRevokeToken(token));
+
+      item.append(info, revokeBtn);
+      tokenList.appendChild(item);
+    });
+  }
+
   setupEventListeners() {
+    document.getElementById('pair-btn').addEventListener('click', () => {
+      this.handlePair();
+    });
+
+    document.getElementById('pairing-code').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.handlePair();
+    });
+
     document.getElementById('refresh-videos').addEventListener('click', () => {
       this.handleRefreshVideos();
     });
@@ -76,10 +188,75 @@ class PopupManager {
   }
 
   updateUI() {
+    this.updatePairingSection();
     this.updateCurrentDomainDisplay();
+    this.updateProcessingSection();
     this.updateVideoSection();
   }
 
+  updateProcessingSection() {
+    const section = document.getElementById('processing-section');
+    const selected = this.tabVideos.selected;
+    const processing = selected?.processing;
+
+    if (!processing || !processing.progressUrl) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+    section.className = 'processing';
+    document.getElementById('processing-title').textContent = `⏳ ${selected.title || 'Untitled Video'}`;
+
+    const bar = document.getElementById('processing-bar');
+    const details = document.getElementById('processing-details');
+
+    const render = (data) => {
+      bar.style.width = `${data.progress || 0}%`;
+
+      if (data.status === 'downloading') {
+        let text = `${data.progress}% • ${data.segmentsDownloaded}/${data.totalSegments || '?'} segments`;
+        if (data.bytesPerSecond) {
+          text += ` • ${(data.bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+        }
+        if (data.etaSeconds !== null && data.etaSeconds !== undefined) {
+          text += ` • ${this.formatDuration(data.etaSeconds)} left`;
+        }
+        details.textContent = text;
+      } else if (data.status === 'recording') {
+        details.textContent = `🔴 Recording live • ${this.formatDuration(data.recordedSeconds || 0)}`;
+      } else if (data.status === 'pending' && data.queuePosition) {
+        details.textContent = `Queued, position ${data.queuePosition}`;
+      } else if (data.status === 'failed') {
+        details.textContent = `❌ ${data.error?.message || 'Processing failed'}`;
+      } else {
+        details.textContent = `Status: ${data.status}`;
+      }
+    };
+
+    if (this.progressEvents) {
+      this.progressEvents.close();
+    }
+
+    this.progressEvents = new EventSource(processing.progressUrl);
+    this.progressEvents.addEventListener('state', (event) => render(JSON.parse(event.data)));
+    this.progressEvents.addEventListener('progress', (event) => render(JSON.parse(event.data)));
+
+    ['completed', 'failed', 'cancelled'].forEach(finalState => {
+      this.progressEvents.addEventListener(finalState, (event) => {
+        render(JSON.parse(event.data));
+        section.classList.add(finalState);
+        this.progressEvents.close();
+      });
+    });
+
+    this.progressEvents.onerror = () => {
+      if (this.progressEvents.readyState === EventSource.CLOSED) {
+        details.textContent = 'Lost connection to the server';
+      }
+    };
+  }
+
   updateCurrentDomainDisplay() {
     const currentDomainDiv = document.getElementById('current-domain');
     const domainStatus = document.getElementById('domain-status');
@@ -563,6 +740,11 @@ class PopupManager {
       }
     }
 
+    // Audio languages
+    if (analysis.audioTracks && analysis.audioTracks.length > 1) {
+      infoParts.push(`${analysis.audioTracks.length} audio languages`);
+    }
+
     // Stream count
     if (analysis.streams && analysis.streams.length > 0) {
       infoParts.push(`${analysis.streams.length} stream${analysis.streams.length > 1 ? 's' : ''}`);
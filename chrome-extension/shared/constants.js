@@ -15,6 +15,7 @@ const SERVER_CONFIG = {
     VIDEO_PROCESS: '/api/video/process',
     VIDEO_DOWNLOAD: '/api/video/download',
     VIDEO_STATUS: '/api/video/status',
+    VIDEO_PROGRESS: '/api/video/progress',
     COOKIES: '/api/extension/cookies',
     REVOKE: '/api/extension/revoke'
   }
@@ -26,7 +27,7 @@ const FEATURES = {
   STREAM_ANALYSIS: true,        // Analyze video streams for downloadability
   NETWORK_MONITORING: true,     // Monitor network requests for video URLs
   DOWNLOAD_PIPELINE: false,     // Full download processing (future)
-  PROGRESS_TRACKING: false,     // Real-time download progress (future)
+  PROGRESS_TRACKING: true,      // Real-time download progress over SSE
   BULK_DOWNLOADS: false         // Multiple video downloads (future)
 };
 
@@ -137,6 +138,7 @@ const DOWNLOAD_STATUS = {
   ANALYZING: 'analyzing',
   READY: 'ready',
   DOWNLOADING: 'downloading',
+  RECORDING: 'recording',
   PROCESSING: 'processing',
   COMPLETED: 'completed',
   FAILED: 'failed',
@@ -161,18 +163,21 @@ const DEBUG = {
   PERFORMANCE_TIMING: false
 };
 
-// Export all constants
-module.exports = {
-  SERVER_CONFIG,
-  FEATURES,
-  MODULES,
-  STREAM_FORMATS,
-  QUALITY_PATTERNS,
-  REQUEST_FILTERS,
-  ANALYSIS_CONFIG,
-  EVENTS,
-  ERROR_TYPES,
-  DOWNLOAD_STATUS,
-  UI_CONSTANTS,
-  DEBUG
-};
\ No newline at end of file
+// CommonJS for the server. The extension loads this file as a classic
+// script, where the declarations above are already shared globals.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SERVER_CONFIG,
+    FEATURES,
+    MODULES,
+    STREAM_FORMATS,
+    QUALITY_PATTERNS,
+    REQUEST_FILTERS,
+    ANALYSIS_CONFIG,
+    EVENTS,
+    ERROR_TYPES,
+    DOWNLOAD_STATUS,
+    UI_CONSTANTS,
+    DEBUG
+  };
+}
@@ -0,0 +1,932 @@
+// =============================================================================
+// SHARED MANIFEST PARSER
+// =============================================================================
+//
+// Dependency-free parser for HLS playlists and DASH manifests, used by the
+// extension and by the Express server. Only relies on the URL global,
+// available in browsers, service workers and Node.js. DASH manifests are read
+// with a small XML reader since service workers have no DOMParser.
+
+/**
+ * @typedef {Object} ByteRange
+ * @property {number} length - Number of bytes
+ * @property {number} offset - Offset of the first byte
+ */
+
+/**
+ * @typedef {Object} HlsKey
+ * @property {string} method - AES-128, SAMPLE-AES, SAMPLE-AES-CTR...
+ * @property {string|null} uri - Absolute key URI
+ * @property {string|null} iv - 32 hex digits, null when derived from the media sequence
+ * @property {string} keyFormat - 'identity' unless a DRM system is named
+ * @property {string|null} keyFormatVersions
+ */
+
+/**
+ * @typedef {Object} HlsMap
+ * @property {string} uri - Absolute URI of the initialization section
+ * @property {ByteRange|null} byteRange
+ * @property {HlsKey|null} key - Key in effect when the map was declared
+ */
+
+/**
+ * @typedef {Object} HlsSegment
+ * @property {string} uri - Absolute segment URI
+ * @property {number} duration - EXTINF duration in seconds
+ * @property {string|null} title
+ * @property {number} sequence - Media sequence number
+ * @property {number} discontinuitySequence
+ * @property {boolean} discontinuity - Preceded by EXT-X-DISCONTINUITY
+ * @property {ByteRange|null} byteRange
+ * @property {HlsKey|null} key
+ * @property {HlsMap|null} map
+ * @property {string|null} programDateTime
+ * @property {boolean} gap
+ * @property {number} start - Offset from the start of the playlist, in seconds
+ */
+
+/**
+ * @typedef {Object} HlsMediaPlaylist
+ * @property {'media'} type
+ * @property {string|null} url
+ * @property {number|null} version
+ * @property {number|null} targetDuration
+ * @property {number} mediaSequence
+ * @property {number} discontinuitySequence
+ * @property {string|null} playlistType - VOD, EVENT or null
+ * @property {boolean} endList - False for live playlists
+ * @property {boolean} iFramesOnly
+ * @property {boolean} independentSegments
+ * @property {HlsSegment[]} segments
+ * @property {number} totalDuration
+ */
+
+/**
+ * @typedef {Object} HlsVariant
+ * @property {string} uri - Absolute media playlist URI
+ * @property {number} bandwidth
+ * @property {number|null} averageBandwidth
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} resolution - As written, e.g. 1280x720
+ * @property {string|null} quality - e.g. 720p
+ * @property {string|null} codecs
+ * @property {number|null} frameRate
+ * @property {string|null} audio - EXT-X-MEDIA group id
+ * @property {string|null} video
+ * @property {string|null} subtitles
+ * @property {string|null} closedCaptions
+ * @property {Object<string, string>} attributes - Raw attribute list
+ */
+
+/**
+ * @typedef {Object} HlsRendition
+ * @property {string} type - AUDIO, VIDEO, SUBTITLES or CLOSED-CAPTIONS
+ * @property {string} groupId
+ * @property {string} name
+ * @property {string|null} language
+ * @property {string|null} assocLanguage
+ * @property {boolean} default
+ * @property {boolean} autoselect
+ * @property {boolean} forced
+ * @property {string|null} characteristics
+ * @property {string|null} channels
+ * @property {string|null} instreamId
+ * @property {string|null} uri - Absolute URI, null when muxed into the variant
+ */
+
+/**
+ * @typedef {Object} HlsIFrameStream
+ * @property {string} uri
+ * @property {number} bandwidth
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} codecs
+ */
+
+/**
+ * @typedef {Object} HlsMasterPlaylist
+ * @property {'master'} type
+ * @property {string|null} url
+ * @property {number|null} version
+ * @property {boolean} independentSegments
+ * @property {HlsVariant[]} variants
+ * @property {HlsRendition[]} media
+ * @property {HlsIFrameStream[]} iFrameStreams
+ * @property {HlsKey[]} sessionKeys
+ */
+
+const MASTER_TAGS = ['#EXT-X-STREAM-INF:', '#EXT-X-I-FRAME-STREAM-INF:', '#EXT-X-MEDIA:'];
+
+/**
+ * Parse an attribute list, e.g. BANDWIDTH=1280000,CODECS="avc1,mp4a"
+ */
+function parseAttributeList(value) {
+  const attributes = {};
+  const attrRegex = /([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g;
+  let match;
+
+  while ((match = attrRegex.exec(value)) !== null) {
+    attributes[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  return attributes;
+}
+
+/**
+ * Resolve a URI against the playlist URL, leaving it as is when there is
+ * no base to resolve against
+ */
+function resolveUri(uri, baseUrl) {
+  try {
+    return new URL(uri, baseUrl || undefined).toString();
+  } catch {
+    return uri;
+  }
+}
+
+/**
+ * Parse <length>[@<offset>]. Without an offset, a segment range continues
+ * where the previous range of the same resource ended.
+ */
+function parseByteRange(value, previous) {
+  const [length, offset] = value.split('@');
+  return {
+    length: parseInt(length, 10),
+    offset: offset !== undefined ? parseInt(offset, 10) : previous ? previous.offset + previous.length : 0
+  };
+}
+
+function parseResolution(value) {
+  const [width, height] = (value || '').split('x').map(part => parseInt(part, 10));
+  return {
+    width: width || null,
+    height: height || null
+  };
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function parseKey(attributes, baseUrl) {
+  const method = attributes.METHOD || 'NONE';
+  if (method === 'NONE') return null;
+
+  return {
+    method,
+    uri: attributes.URI ? resolveUri(attributes.URI, baseUrl) : null,
+    iv: attributes.IV ? attributes.IV.replace(/^0x/i, '').padStart(32, '0').toLowerCase() : null,
+    keyFormat: attributes.KEYFORMAT || 'identity',
+    keyFormatVersions: attributes.KEYFORMATVERSIONS || null
+  };
+}
+
+/**
+ * Split playlist content into trimmed, non-empty lines after checking the
+ * #EXTM3U header
+ */
+function readLines(content) {
+  if (typeof content !== 'string') {
+    throw new Error('Playlist content must be a string');
+  }
+
+  const lines = content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line);
+
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist (missing #EXTM3U)');
+  }
+
+  return lines;
+}
+
+/**
+ * Tell a master playlist from a media playlist
+ */
+function isMasterPlaylist(content) {
+  return readLines(content).some(line => MASTER_TAGS.some(tag => line.startsWith(tag)));
+}
+
+/**
+ * @param {string} content
+ * @param {string} [url] - Playlist URL used to resolve relative URIs
+ * @returns {HlsMasterPlaylist}
+ */
+function parseMasterPlaylist(content, url) {
+  const playlist = {
+    type: 'master',
+    url: url || null,
+    version: null,
+    independentSegments: false,
+    variants: [],
+    media: [],
+    iFrameStreams: [],
+    sessionKeys: []
+  };
+
+  let pendingVariant = null;
+
+  for (const line of readLines(content)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributeList(line.slice(18));
+      const { width, height } = parseResolution(attributes.RESOLUTION);
+
+      pendingVariant = {
+        uri: null,
+        bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+        averageBandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'], 10) || null,
+        width,
+        height,
+        resolution: attributes.RESOLUTION || null,
+        quality: height ? `${height}p` : null,
+        codecs: attributes.CODECS || null,
+        frameRate: toNumber(attributes['FRAME-RATE']),
+        audio: attributes.AUDIO || null,
+        video: attributes.VIDEO || null,
+        subtitles: attributes.SUBTITLES || null,
+        closedCaptions: attributes['CLOSED-CAPTIONS'] && attributes['CLOSED-CAPTIONS'] !== 'NONE' ? attributes['CLOSED-CAPTIONS'] : null,
+        attributes
+      };
+    } else if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+      const attributes = parseAttributeList(line.slice(26));
+      const { width, height } = parseResolution(attributes.RESOLUTION);
+
+      if (attributes.URI) {
+        playlist.iFrameStreams.push({
+          uri: resolveUri(attributes.URI, url),
+          bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+          width,
+          height,
+          codecs: attributes.CODECS || null
+        });
+      }
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = parseAttributeList(line.slice(13));
+
+      playlist.media.push({
+        type: attributes.TYPE,
+        groupId: attributes['GROUP-ID'],
+        name: attributes.NAME || null,
+        language: attributes.LANGUAGE || null,
+        assocLanguage: attributes['ASSOC-LANGUAGE'] || null,
+        default: attributes.DEFAULT === 'YES',
+        autoselect: attributes.AUTOSELECT === 'YES',
+        forced: attributes.FORCED === 'YES',
+        characteristics: attributes.CHARACTERISTICS || null,
+        channels: attributes.CHANNELS || null,
+        instreamId: attributes['INSTREAM-ID'] || null,
+        uri: attributes.URI ? resolveUri(attributes.URI, url) : null
+      });
+    } else if (line.startsWith('#EXT-X-SESSION-KEY:')) {
+      const key = parseKey(parseAttributeList(line.slice(19)), url);
+      if (key) playlist.sessionKeys.push(key);
+    } else if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.slice(15), 10) || null;
+    } else if (line === '#EXT-X-INDEPENDENT-SEGMENTS') {
+      playlist.independentSegments = true;
+    } else if (!line.startsWith('#') && pendingVariant) {
+      pendingVariant.uri = resolveUri(line, url);
+      playlist.variants.push(pendingVariant);
+      pendingVariant = null;
+    }
+  }
+
+  return playlist;
+}
+
+/**
+ * @param {string} content
+ * @param {string} [url] - Playlist URL used to resolve relative URIs
+ * @returns {HlsMediaPlaylist}
+ */
+function parseMediaPlaylist(content, url) {
+  const playlist = {
+    type: 'media',
+    url: url || null,
+    version: null,
+    targetDuration: null,
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    playlistType: null,
+    endList: false,
+    iFramesOnly: false,
+    independentSegments: false,
+    segments: [],
+    totalDuration: 0
+  };
+
+  // Tags that apply to the next segment only
+  let pending = { duration: null, title: null, byteRange: null, discontinuity: false, programDateTime: null, gap: false };
+  // Tags that apply to every segment until replaced
+  let key = null;
+  let map = null;
+  let discontinuitySequence = null;
+  let lastByteRange = null;
+  let lastUri = null;
+
+  for (const line of readLines(content)) {
+    if (line.startsWith('#EXTINF:')) {
+      const [duration, ...title] = line.slice(8).split(',');
+      pending.duration = toNumber(duration) || 0;
+      pending.title = title.join(',') || null;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pending.byteRange = line.slice(17);
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      pending.discontinuity = true;
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      pending.programDateTime = line.slice(25);
+    } else if (line === '#EXT-X-GAP') {
+      pending.gap = true;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      key = parseKey(parseAttributeList(line.slice(11)), url);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parseAttributeList(line.slice(11));
+      map = {
+        uri: resolveUri(attributes.URI, url),
+        byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE) : null,
+        key
+      };
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = toNumber(line.slice(22));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.slice(22), 10) || 0;
+    } else if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) {
+      playlist.discontinuitySequence = parseInt(line.slice(30), 10) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      playlist.playlistType = line.slice(21);
+    } else if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.slice(15), 10) || null;
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (line === '#EXT-X-I-FRAMES-ONLY') {
+      playlist.iFramesOnly = true;
+    } else if (line === '#EXT-X-INDEPENDENT-SEGMENTS') {
+      playlist.independentSegments = true;
+    } else if (!line.startsWith('#') && pending.duration !== null) {
+      const uri = resolveUri(line, url);
+
+      if (discontinuitySequence === null) {
+        discontinuitySequence = playlist.discontinuitySequence;
+      }
+      if (pending.discontinuity && playlist.segments.length > 0) {
+        discontinuitySequence++;
+      }
+
+      const byteRange = pending.byteRange
+        ? parseByteRange(pending.byteRange, uri === lastUri ? lastByteRange : null)
+        : null;
+
+      playlist.segments.push({
+        uri,
+        duration: pending.duration,
+        title: pending.title,
+        sequence: playlist.mediaSequence + playlist.segments.length,
+        discontinuitySequence,
+        discontinuity: pending.discontinuity,
+        byteRange,
+        key,
+        map,
+        programDateTime: pending.programDateTime,
+        gap: pending.gap,
+        start: playlist.totalDuration
+      });
+
+      playlist.totalDuration += pending.duration;
+      lastByteRange = byteRange;
+      lastUri = uri;
+      pending = { duration: null, title: null, byteRange: null, discontinuity: false, programDateTime: null, gap: false };
+    }
+  }
+
+  return playlist;
+}
+
+/**
+ * Parse an HLS playlist of either kind
+ * @param {string} content
+ * @param {string} [url] - Playlist URL used to resolve relative URIs
+ * @returns {HlsMasterPlaylist|HlsMediaPlaylist}
+ */
+function parseHlsPlaylist(content, url) {
+  return isMasterPlaylist(content)
+    ? parseMasterPlaylist(content, url)
+    : parseMediaPlaylist(content, url);
+}
+
+// =============================================================================
+// DASH (MPD)
+// =============================================================================
+
+/**
+ * @typedef {Object} DashSegment
+ * @property {string} uri - Absolute segment URI
+ * @property {ByteRange|null} byteRange
+ * @property {number|null} number - $Number$ of the segment, when addressed by number
+ * @property {number|null} time - Start in timescale units
+ * @property {number} start - Start in seconds from the period start
+ * @property {number} duration - Duration in seconds
+ */
+
+/**
+ * @typedef {Object} DashSegmentInfo
+ * @property {'template'|'list'|'base'|'single'} addressing
+ * @property {{uri: string, byteRange: ByteRange|null}|null} initialization
+ * @property {DashSegment[]} segments - Empty for SegmentBase, which needs its sidx fetched
+ * @property {string} baseUrl - Resolved BaseURL of the representation
+ * @property {ByteRange|null} indexRange - SegmentBase sidx location
+ * @property {number} timescale
+ */
+
+/**
+ * @typedef {Object} DashRepresentation
+ * @property {string} id
+ * @property {number} bandwidth
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} quality
+ * @property {string|null} codecs
+ * @property {string|null} mimeType
+ * @property {number|null} frameRate
+ * @property {number|null} audioSamplingRate
+ * @property {DashSegmentInfo} segmentInfo
+ */
+
+/**
+ * @typedef {Object} DashAdaptationSet
+ * @property {string|null} id
+ * @property {'video'|'audio'|'text'|null} contentType
+ * @property {string|null} mimeType
+ * @property {string|null} lang
+ * @property {string|null} label
+ * @property {string[]} roles
+ * @property {boolean} protected - Carries ContentProtection (DRM)
+ * @property {DashRepresentation[]} representations
+ */
+
+/**
+ * @typedef {Object} DashPeriod
+ * @property {string|null} id
+ * @property {number} start - Seconds
+ * @property {number|null} duration - Seconds
+ * @property {DashAdaptationSet[]} adaptationSets
+ */
+
+/**
+ * @typedef {Object} DashManifest
+ * @property {'dash'} type
+ * @property {string|null} url
+ * @property {boolean} dynamic - Live manifest
+ * @property {number|null} duration - mediaPresentationDuration in seconds
+ * @property {DashPeriod[]} periods
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Minimal XML reader: elements, attributes and text. Namespace prefixes are
+ * dropped from element names.
+ */
+function parseXml(content) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenRegex = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attributeRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = tokenRegex.exec(content)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closingName, openingName, attributeText, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length > 1) stack.pop();
+    } else if (openingName) {
+      const element = {
+        name: openingName.replace(/^.*:/, ''),
+        attributes: {},
+        children: [],
+        text: ''
+      };
+
+      let attributeMatch;
+      attributeRegex.lastIndex = 0;
+      while ((attributeMatch = attributeRegex.exec(attributeText || '')) !== null) {
+        const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+        element.attributes[attributeMatch[1].replace(/^.*:/, '')] = decodeXmlEntities(value);
+      }
+
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (text !== undefined) {
+      current.text += decodeXmlEntities(text);
+    }
+  }
+
+  return root;
+}
+
+function childElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+function childElement(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+/**
+ * Parse an ISO 8601 duration such as PT1H2M3.5S into seconds
+ */
+function parseIsoDuration(value) {
+  if (!value) return null;
+
+  const match = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, years, months, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parse a frame rate written as a number or a fraction such as 30000/1001
+ */
+function parseFrameRate(value) {
+  const [numerator, denominator] = value.split('/').map(part => parseFloat(part));
+  if (!numerator) return null;
+  return denominator ? numerator / denominator : numerator;
+}
+
+/**
+ * Parse a DASH byte range, written <first>-<last>
+ */
+function parseDashRange(value) {
+  if (!value) return null;
+
+  const [first, last] = value.split('-').map(part => parseInt(part, 10));
+  return { offset: first, length: last - first + 1 };
+}
+
+function resolveBaseUrl(element, baseUrl) {
+  const baseUrlElement = childElement(element, 'BaseURL');
+  return baseUrlElement && baseUrlElement.text.trim()
+    ? resolveUri(baseUrlElement.text.trim(), baseUrl)
+    : baseUrl;
+}
+
+/**
+ * Fill a SegmentTemplate pattern such as $RepresentationID$/$Number%05d$.m4s
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g, (match, name, width) => {
+    if (!name) return '$';
+
+    const value = String(values[name]);
+    return width ? value.padStart(parseInt(width, 10), '0') : value;
+  });
+}
+
+/**
+ * Merge the segment addressing element of the given name down the
+ * Period > AdaptationSet > Representation hierarchy. Attributes of lower
+ * levels override those above; child elements are taken from the lowest
+ * level that has them.
+ */
+function inheritSegmentElement(elements, name) {
+  let merged = null;
+
+  for (const element of elements) {
+    const found = childElement(element, name);
+    if (!found) continue;
+
+    merged = merged
+      ? {
+        name,
+        attributes: { ...merged.attributes, ...found.attributes },
+        children: found.children.length > 0 ? found.children : merged.children,
+        text: ''
+      }
+      : found;
+  }
+
+  return merged;
+}
+
+/**
+ * Expand a SegmentTimeline into { time, duration } entries
+ */
+function expandTimeline(timeline, periodEnd) {
+  const entries = [];
+  const items = childElements(timeline, 'S');
+  let time = 0;
+
+  items.forEach((item, index) => {
+    if (item.attributes.t !== undefined) {
+      time = parseInt(item.attributes.t, 10);
+    }
+
+    const duration = parseInt(item.attributes.d, 10);
+    let repeat = parseInt(item.attributes.r || '0', 10);
+
+    // A negative repeat lasts until the next S element or the period end
+    if (repeat < 0) {
+      const next = items[index + 1];
+      const end = next && next.attributes.t !== undefined ? parseInt(next.attributes.t, 10) : periodEnd;
+      repeat = end !== null ? Math.ceil((end - time) / duration) - 1 : 0;
+    }
+
+    for (let i = 0; i <= repeat; i++) {
+      entries.push({ time, duration });
+      time += duration;
+    }
+  });
+
+  return entries;
+}
+
+function buildTemplateSegments(template, representation, baseUrl, periodDuration) {
+  const attributes = template.attributes;
+  const timescale = parseInt(attributes.timescale || '1', 10);
+  const startNumber = parseInt(attributes.startNumber || '1', 10);
+  const presentationTimeOffset = parseInt(attributes.presentationTimeOffset || '0', 10);
+  const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+  const timeline = childElement(template, 'SegmentTimeline');
+  const segments = [];
+
+  let entries;
+  if (timeline) {
+    const periodEnd = periodDuration !== null ? presentationTimeOffset + periodDuration * timescale : null;
+    entries = expandTimeline(timeline, periodEnd);
+  } else {
+    const duration = parseInt(attributes.duration, 10);
+    if (!duration) {
+      throw new Error(`SegmentTemplate of representation ${representation.id} has neither duration nor SegmentTimeline`);
+    }
+
+    const count = attributes.endNumber
+      ? parseInt(attributes.endNumber, 10) - startNumber + 1
+      : periodDuration !== null
+        ? Math.ceil((periodDuration * timescale) / duration)
+        : 0;
+
+    entries = Array.from({ length: count }, (_, index) => ({
+      time: presentationTimeOffset + index * duration,
+      duration
+    }));
+  }
+
+  entries.forEach((entry, index) => {
+    const number = startNumber + index;
+    segments.push({
+      uri: resolveUri(fillTemplate(attributes.media, { ...values, Number: number, Time: entry.time }), baseUrl),
+      byteRange: null,
+      number,
+      time: entry.time,
+      start: (entry.time - presentationTimeOffset) / timescale,
+      duration: entry.duration / timescale
+    });
+  });
+
+  return {
+    addressing: 'template',
+    initialization: attributes.initialization
+      ? { uri: resolveUri(fillTemplate(attributes.initialization, values), baseUrl), byteRange: null }
+      : null,
+    segments,
+    baseUrl,
+    indexRange: null,
+    timescale
+  };
+}
+
+function buildListSegments(list, baseUrl, periodDuration) {
+  const attributes = list.attributes;
+  const timescale = parseInt(attributes.timescale || '1', 10);
+  const startNumber = parseInt(attributes.startNumber || '1', 10);
+  const timeline = childElement(list, 'SegmentTimeline');
+  const timelineEntries = timeline ? expandTimeline(timeline, periodDuration !== null ? periodDuration * timescale : null) : null;
+  const fixedDuration = parseInt(attributes.duration || '0', 10);
+  const initialization = childElement(list, 'Initialization');
+
+  const segments = childElements(list, 'SegmentURL').map((segmentUrl, index) => {
+    const entry = timelineEntries
+      ? timelineEntries[index] || { time: 0, duration: 0 }
+      : { time: index * fixedDuration, duration: fixedDuration };
+
+    return {
+      uri: segmentUrl.attributes.media ? resolveUri(segmentUrl.attributes.media, baseUrl) : baseUrl,
+      byteRange: parseDashRange(segmentUrl.attributes.mediaRange),
+      number: startNumber + index,
+      time: entry.time,
+      start: entry.time / timescale,
+      duration: entry.duration / timescale
+    };
+  });
+
+  return {
+    addressing: 'list',
+    initialization: initialization
+      ? {
+        uri: initialization.attributes.sourceURL ? resolveUri(initialization.attributes.sourceURL, baseUrl) : baseUrl,
+        byteRange: parseDashRange(initialization.attributes.range)
+      }
+      : null,
+    segments,
+    baseUrl,
+    indexRange: null,
+    timescale
+  };
+}
+
+function buildSegmentInfo(hierarchy, representation, baseUrl, periodDuration) {
+  const template = inheritSegmentElement(hierarchy, 'SegmentTemplate');
+  if (template && template.attributes.media) {
+    return buildTemplateSegments(template, representation, baseUrl, periodDuration);
+  }
+
+  const list = inheritSegmentElement(hierarchy, 'SegmentList');
+  if (list) {
+    return buildListSegments(list, baseUrl, periodDuration);
+  }
+
+  const base = inheritSegmentElement(hierarchy, 'SegmentBase');
+  if (base) {
+    const initialization = childElement(base, 'Initialization');
+    return {
+      addressing: 'base',
+      initialization: initialization && initialization.attributes.range
+        ? { uri: baseUrl, byteRange: parseDashRange(initialization.attributes.range) }
+        : null,
+      segments: [],
+      baseUrl,
+      indexRange: parseDashRange(base.attributes.indexRange),
+      timescale: parseInt(base.attributes.timescale || '1', 10)
+    };
+  }
+
+  // Nothing but a BaseURL: the representation is one self-contained file
+  return {
+    addressing: 'single',
+    initialization: null,
+    segments: [{ uri: baseUrl, byteRange: null, number: null, time: 0, start: 0, duration: periodDuration || 0 }],
+    baseUrl,
+    indexRange: null,
+    timescale: 1
+  };
+}
+
+function inferContentType(adaptationSet, representations) {
+  const { contentType, mimeType, codecs } = adaptationSet.attributes;
+  const candidates = [
+    contentType,
+    mimeType,
+    ...representations.map(rep => rep.attributes.mimeType),
+    ...childElements(adaptationSet, 'ContentComponent').map(component => component.attributes.contentType)
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (/^video/.test(candidate)) return 'video';
+    if (/^audio/.test(candidate)) return 'audio';
+    if (/^(text|application\/(ttml|mp4))/.test(candidate)) return 'text';
+  }
+
+  const allCodecs = [codecs, ...representations.map(rep => rep.attributes.codecs)].filter(Boolean).join(',');
+  if (/avc|hvc|hev|vp0?[89]|av01/i.test(allCodecs)) return 'video';
+  if (/mp4a|opus|ac-3|ec-3|vorbis|flac/i.test(allCodecs)) return 'audio';
+  if (/wvtt|stpp/i.test(allCodecs)) return 'text';
+
+  return null;
+}
+
+/**
+ * @param {string} content - MPD XML
+ * @param {string} [url] - Manifest URL used to resolve relative URIs
+ * @returns {DashManifest}
+ */
+function parseDashManifest(content, url) {
+  if (typeof content !== 'string') {
+    throw new Error('Manifest content must be a string');
+  }
+
+  const mpd = childElement(parseXml(content), 'MPD');
+  if (!mpd) {
+    throw new Error('Not a DASH manifest (missing MPD element)');
+  }
+
+  const duration = parseIsoDuration(mpd.attributes.mediaPresentationDuration);
+  const mpdBaseUrl = resolveBaseUrl(mpd, url || null);
+  const periodElements = childElements(mpd, 'Period');
+
+  const periods = [];
+  let nextStart = 0;
+
+  periodElements.forEach((period, periodIndex) => {
+    const start = parseIsoDuration(period.attributes.start);
+    const periodStart = start !== null ? start : nextStart;
+    const followingStart = periodElements[periodIndex + 1]
+      ? parseIsoDuration(periodElements[periodIndex + 1].attributes.start)
+      : null;
+
+    let periodDuration = parseIsoDuration(period.attributes.duration);
+    if (periodDuration === null) {
+      if (followingStart !== null) {
+        periodDuration = followingStart - periodStart;
+      } else if (duration !== null) {
+        periodDuration = duration - periodStart;
+      }
+    }
+
+    const periodBaseUrl = resolveBaseUrl(period, mpdBaseUrl);
+
+    const adaptationSets = childElements(period, 'AdaptationSet').map(adaptationSet => {
+      const setBaseUrl = resolveBaseUrl(adaptationSet, periodBaseUrl);
+      const representationElements = childElements(adaptationSet, 'Representation');
+      const setProtected = childElements(adaptationSet, 'ContentProtection').length > 0;
+
+      return {
+        id: adaptationSet.attributes.id || null,
+        contentType: inferContentType(adaptationSet, representationElements),
+        mimeType: adaptationSet.attributes.mimeType || null,
+        lang: adaptationSet.attributes.lang || null,
+        label: childElement(adaptationSet, 'Label') ? childElement(adaptationSet, 'Label').text.trim() : adaptationSet.attributes.label || null,
+        roles: childElements(adaptationSet, 'Role').map(role => role.attributes.value).filter(Boolean),
+        protected: setProtected || representationElements.some(rep => childElements(rep, 'ContentProtection').length > 0),
+        representations: representationElements.map(rep => {
+          const attributes = { ...adaptationSet.attributes, ...rep.attributes };
+          const height = parseInt(attributes.height, 10) || null;
+          const representation = {
+            id: rep.attributes.id || '',
+            bandwidth: parseInt(attributes.bandwidth, 10) || 0,
+            width: parseInt(attributes.width, 10) || null,
+            height,
+            quality: height ? `${height}p` : null,
+            codecs: attributes.codecs || null,
+            mimeType: attributes.mimeType || null,
+            frameRate: attributes.frameRate ? parseFrameRate(attributes.frameRate) : null,
+            audioSamplingRate: parseInt(attributes.audioSamplingRate, 10) || null
+          };
+
+          representation.segmentInfo = buildSegmentInfo(
+            [period, adaptationSet, rep],
+            representation,
+            resolveBaseUrl(rep, setBaseUrl),
+            periodDuration
+          );
+
+          return representation;
+        })
+      };
+    });
+
+    periods.push({
+      id: period.attributes.id || null,
+      start: periodStart,
+      duration: periodDuration,
+      adaptationSets
+    });
+
+    nextStart = periodDuration !== null ? periodStart + periodDuration : periodStart;
+  });
+
+  return {
+    type: 'dash',
+    url: url || null,
+    dynamic: mpd.attributes.type === 'dynamic',
+    duration,
+    periods
+  };
+}
+
+const ManifestParser = {
+  parseAttributeList,
+  resolveUri,
+  isMasterPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+  parseHlsPlaylist,
+  parseIsoDuration,
+  parseDashManifest
+};
+
+// CommonJS for the server, a global for the extension service worker which
+// loads this file with importScripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManifestParser;
+} else {
+  globalThis.ManifestParser = ManifestParser;
+}
@@ -2,7 +2,8 @@
 // SHARED UTILITY FUNCTIONS
 // =============================================================================
 
-const { STREAM_FORMATS, QUALITY_PATTERNS, DEBUG } = require('./constants.js');
+// Classic script for the extension, loaded after shared/constants.js and
+// shared/manifest-parser.js whose declarations it uses as globals
 
 /**
  * Logging utilities with debug control
@@ -140,106 +141,122 @@ const URLUtils = {
   }
 };
 
+/**
+ * Audio tracks of a manifest, one per language and label (HLS groups and
+ * DASH periods repeat them)
+ */
+function uniqueAudioTracks(tracks) {
+  const seen = new Set();
+  return tracks.filter(track => {
+    const key = `${track.language}|${track.label}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Stream analysis utilities
  */
 const StreamUtils = {
   /**
-   * Parse M3U8 playlist content
+   * Parse M3U8 playlist content. Variant URLs are resolved against baseUrl
+   * when given; the full parse result is available as `playlist`. Audio
+   * renditions (EXT-X-MEDIA TYPE=AUDIO) are listed as `audioTracks`.
    */
-  parseM3U8: (content) => {
+  parseM3U8: (content, baseUrl) => {
     if (!content || typeof content !== 'string') return null;
 
-    const lines = content.split('\n').map(line => line.trim()).filter(line => line);
-    const streams = [];
-    let currentStream = {};
-
-    for (const line of lines) {
-      if (line.startsWith('#EXT-X-STREAM-INF:')) {
-        // Parse stream info
-        const attributes = StreamUtils.parseAttributes(line);
-        currentStream = {
-          quality: StreamUtils.extractQualityFromAttributes(attributes),
-          bandwidth: attributes.BANDWIDTH ? parseInt(attributes.BANDWIDTH) : null,
-          resolution: attributes.RESOLUTION || null,
-          codecs: attributes.CODECS || null,
-          attributes
-        };
-      } else if (line && !line.startsWith('#') && currentStream.quality) {
-        // Stream URL
-        currentStream.url = line;
-        streams.push(currentStream);
-        currentStream = {};
-      }
+    let playlist;
+    try {
+      playlist = parseHlsPlaylist(content, baseUrl);
+    } catch (error) {
+      Logger.error('Failed to parse M3U8:', error);
+      return null;
     }
 
+    const streams = playlist.type === 'master'
+      ? playlist.variants.map(variant => ({
+        quality: variant.quality || StreamUtils.extractQualityFromAttributes(variant.attributes),
+        bandwidth: variant.bandwidth || null,
+        resolution: variant.resolution,
+        codecs: variant.codecs,
+        url: variant.uri,
+        attributes: variant.attributes
+      }))
+      : [];
+
+    const audioTracks = playlist.type === 'master'
+      ? uniqueAudioTracks(playlist.media
+        .filter(rendition => rendition.type === 'AUDIO')
+        .map(rendition => ({
+          language: rendition.language,
+          label: rendition.name,
+          default: rendition.default,
+          channels: rendition.channels
+        })))
+      : [];
+
     return {
       type: 'HLS',
+      playlistType: playlist.type,
       streams,
-      hasMultipleQualities: streams.length > 1
+      hasMultipleQualities: streams.length > 1,
+      audioTracks,
+      playlist
     };
   },
 
   /**
-   * Parse MPD manifest content
+   * Parse MPD manifest content. Video representations are the quality
+   * options, audio adaptation sets are listed by language as `audioTracks`.
+   * The content type comes from the adaptation set or its representations.
    */
-  parseMPD: (content) => {
+  parseMPD: (content, baseUrl) => {
     if (!content || typeof content !== 'string') return null;
 
+    let manifest;
     try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(content, 'application/xml');
-
-      const adaptationSets = doc.querySelectorAll('AdaptationSet');
-      const streams = [];
-
-      adaptationSets.forEach(adaptationSet => {
-        const mimeType = adaptationSet.getAttribute('mimeType');
-        if (mimeType && mimeType.startsWith('video/')) {
-          const representations = adaptationSet.querySelectorAll('Representation');
-
-          representations.forEach(representation => {
-            const width = representation.getAttribute('width');
-            const height = representation.getAttribute('height');
-            const bandwidth = representation.getAttribute('bandwidth');
-
-            streams.push({
-              quality: height ? `${height}p` : null,
-              resolution: width && height ? `${width}x${height}` : null,
-              bandwidth: bandwidth ? parseInt(bandwidth) : null,
-              mimeType
-            });
-          });
-        }
-      });
-
-      return {
-        type: 'DASH',
-        streams,
-        hasMultipleQualities: streams.length > 1
-      };
+      manifest = parseDashManifest(content, baseUrl);
     } catch (error) {
       Logger.error('Failed to parse MPD:', error);
       return null;
     }
+
+    const adaptationSets = manifest.periods.flatMap(period => period.adaptationSets);
+
+    const streams = adaptationSets
+      .filter(adaptationSet => adaptationSet.contentType === 'video')
+      .flatMap(adaptationSet => adaptationSet.representations.map(representation => ({
+        quality: representation.quality,
+        resolution: representation.width && representation.height
+          ? `${representation.width}x${representation.height}`
+          : null,
+        bandwidth: representation.bandwidth || null,
+        mimeType: representation.mimeType
+      })));
+
+    const audioTracks = uniqueAudioTracks(adaptationSets
+      .filter(adaptationSet => adaptationSet.contentType === 'audio')
+      .map(adaptationSet => ({
+        language: adaptationSet.lang,
+        label: adaptationSet.label,
+        default: adaptationSet.roles.includes('main'),
+        channels: null
+      })));
+
+    return {
+      type: 'DASH',
+      streams,
+      hasMultipleQualities: streams.length > 1,
+      audioTracks
+    };
   },
 
   /**
    * Parse attributes from M3U8 line
    */
-  parseAttributes: (line) => {
-    const attributes = {};
-    const attrRegex = /([A-Z-]+)=(?:"([^"]*)"|([^,]*))/g;
-    let match;
-
-    while ((match = attrRegex.exec(line)) !== null) {
-      const key = match[1];
-      const value = match[2] || match[3];
-      attributes[key] = value;
-    }
-
-    return attributes;
-  },
+  parseAttributes: (line) => parseAttributeList(line.slice(line.indexOf(':') + 1)),
 
   /**
    * Extract quality from M3U8 attributes
@@ -403,14 +420,3 @@ const DOMUtils = {
            y <= rect.bottom;
   }
 };
-
-// Export all utilities
-module.exports = {
-  Logger,
-  URLUtils,
-  StreamUtils,
-  Performance,
-  EventEmitter,
-  AsyncUtils,
-  DOMUtils
-};
\ No newline at end of file
@@ -17,6 +17,8 @@ export default [
                 clearTimeout: "readonly",
                 setInterval: "readonly",
                 clearInterval: "readonly",
+                AbortController: "readonly",
+                AbortSignal: "readonly",
             },
         },
         rules: {
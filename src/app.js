@@ -6,8 +6,15 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const processRoute = require('./routes/process.route');
 const eventsRoute = require('./routes/events.route');
+const sessionRoute = require('./routes/session.route');
+const authRoute = require('./routes/auth.route');
 const errorMiddleware = require('./middlewares/error.middleware');
 const eventService = require('./services/event.service');
+const { pairingPage } = require('./controllers/auth.controllers');
+const {
+  requireLoopback,
+  requireToken,
+} = require('./middlewares/auth.middleware');
 
 const app = express();
 
@@ -18,9 +25,14 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/public', express.static('public'));
 
 app.use(helmet());
-app.use(cors());
 app.use(cookieParser());
 
+// Job links carry their access key in the query string, it must not end
+// up in the request log
+morgan.token('url', req =>
+  (req.originalUrl || req.url).replace(/([?&]key=)[^&#]*/g, '$1[redacted]')
+);
+
 app.use(
   morgan('combined', {
     stream: {
@@ -31,15 +43,15 @@ app.use(
   })
 );
 
-app.get('/', (req, res) => {
-  res.status(200).send('Hello !!');
-});
+// Pairing code for the extension popup, shown on this machine only
+app.get('/', requireLoopback, pairingPage);
 
 app.get('/api', (req, res) => {
   res.status(200).json({ message: 'Api running like Usain Bolt' });
 });
 
-app.get('/health', (req, res) => {
+// CORS enabled so content scripts can check the server is up
+app.get('/health', cors(), (req, res) => {
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -48,7 +60,7 @@ app.get('/health', (req, res) => {
 });
 
 // Test endpoint for event service
-app.get('/api/test-events', async (req, res) => {
+app.get('/api/test-events', requireToken, async (req, res) => {
   try {
     const result = await eventService.testConnection();
 
@@ -56,7 +68,7 @@ app.get('/api/test-events', async (req, res) => {
       message: 'Event service test completed',
       eventSent: result.success,
       eventApiConfigured: eventService.enabled,
-      result: result
+      result
     });
   } catch (error) {
     res.status(500).json({
@@ -67,11 +79,19 @@ app.get('/api/test-events', async (req, res) => {
   }
 });
 
-// Video processing endpoints
-app.use('/api/video', processRoute);
+// Pairing and API token management. No CORS, so web pages cannot read
+// the issued token.
+app.use('/api/auth', authRoute);
+
+// Extension session handshake
+app.use('/api/session', requireToken, sessionRoute);
+
+// Video processing endpoints. CORS stays open here because content scripts
+// call from the page's origin, every route needs a token or job key.
+app.use('/api/video', cors(), processRoute);
 
 // Event tracking endpoints
-app.use('/api/events', eventsRoute);
+app.use('/api/events', cors(), requireToken, eventsRoute);
 
 //catch all
 app.use((req, res) => {
@@ -0,0 +1,17 @@
+// Pairing: the root page shows a one-time code that the extension popup
+// exchanges for a bearer token
+const authConfig = {
+  PAIRING_CODE_LENGTH: 6,
+  PAIRING_CODE_TTL: parseInt(process.env.PAIRING_CODE_TTL) || 10 * 60 * 1000,
+  // Wrong guesses allowed before the code is replaced
+  PAIRING_MAX_ATTEMPTS: 5,
+  // Pairing requests allowed per client address and window, replacing the
+  // code alone does not stop someone guessing codes one after another
+  PAIRING_RATE_LIMIT: 10,
+  PAIRING_RATE_WINDOW: 15 * 60 * 1000,
+  TOKEN_PREFIX: 'c2s_',
+  // lastUsedAt is journaled at most this often per token
+  TOKEN_TOUCH_INTERVAL: 60 * 1000,
+};
+
+module.exports = authConfig;
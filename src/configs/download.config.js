@@ -0,0 +1,41 @@
+const path = require('path');
+
+// Root folder for everything the download pipeline writes to disk
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+const downloadConfig = {
+  DATA_DIR,
+  JOBS_DIR: path.join(DATA_DIR, 'jobs'),
+  REQUEST_TIMEOUT: parseInt(process.env.DOWNLOAD_REQUEST_TIMEOUT) || 30000,
+  MAX_RETRIES: parseInt(process.env.DOWNLOAD_MAX_RETRIES) || 3,
+  RETRY_DELAY: 1000,
+  USER_AGENT:
+    process.env.DOWNLOAD_USER_AGENT ||
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  // Job queue: downloads running at once overall and per media host, jobs
+  // allowed to wait, and the Retry-After (seconds) sent when it is full
+  MAX_CONCURRENT_JOBS: parseInt(process.env.MAX_CONCURRENT_JOBS) || 3,
+  MAX_JOBS_PER_DOMAIN: parseInt(process.env.MAX_JOBS_PER_DOMAIN) || 1,
+  MAX_QUEUED_JOBS: parseInt(process.env.MAX_QUEUED_JOBS) || 50,
+  QUEUE_RETRY_AFTER: 30,
+  // Live recording: the duration (seconds) recorded when the request sets
+  // none, the most a request may ask for, and the playlist reloads without
+  // new segments after which the stream is treated as ended
+  LIVE_MAX_DURATION: parseInt(process.env.LIVE_MAX_DURATION) || 2 * 60 * 60,
+  LIVE_MAX_DURATION_LIMIT: 12 * 60 * 60,
+  LIVE_STALL_RELOADS: 6,
+  MAX_REDIRECTS: 5,
+  // Response size caps for manifests/keys and for media segments
+  MAX_TEXT_SIZE:
+    parseInt(process.env.DOWNLOAD_MAX_TEXT_SIZE) || 16 * 1024 * 1024,
+  MAX_SEGMENT_SIZE:
+    parseInt(process.env.DOWNLOAD_MAX_SEGMENT_SIZE) || 512 * 1024 * 1024,
+  // Hostnames, addresses or CIDR ranges that may be fetched even though they
+  // are private, e.g. DOWNLOAD_ALLOWLIST=media.lan,10.0.5.0/24
+  OUTBOUND_ALLOWLIST: (process.env.DOWNLOAD_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean),
+};
+
+module.exports = downloadConfig;
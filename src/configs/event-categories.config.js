@@ -0,0 +1,101 @@
+const { z } = require('zod');
+
+// Event categories accepted by /api/events/create. The built-in ones mirror
+// what EventClient emits; registerEventCategory adds custom ones at startup.
+
+const timestamp = z.iso.datetime().optional();
+
+const categories = new Map();
+
+const registerEventCategory = (name, { description, fields }) => {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid event category name: ${name}`);
+  }
+  if (categories.has(name)) {
+    throw new Error(`Event category already registered: ${name}`);
+  }
+
+  categories.set(name, { name, description, fields });
+};
+
+const getEventCategory = name => categories.get(name) ?? null;
+
+// Discovery listing with each category's fields as JSON Schema
+const listEventCategories = () =>
+  [...categories.values()].map(({ name, description, fields }) => ({
+    name,
+    description,
+    fields: z.toJSONSchema(fields, { io: 'input', unrepresentable: 'any' }),
+  }));
+
+// Video processing events carry the job metadata alongside the title
+registerEventCategory('video-processing', {
+  description: 'A video processing job changed state',
+  fields: z.looseObject({
+    title: z.string().max(1000),
+    status: z.enum(['started', 'completed', 'failed']),
+    processId: z.string().max(100).optional(),
+    platform: z.string().max(50).optional(),
+    timestamp,
+  }),
+});
+
+registerEventCategory('error', {
+  description: 'An error raised by the server or the extension',
+  fields: z.looseObject({
+    message: z.string().min(1).max(2000),
+    statusCode: z.number().int().min(100).max(599).optional(),
+    path: z.string().max(2048).optional(),
+    method: z.string().max(10).optional(),
+    timestamp,
+  }),
+});
+
+const apiCall = z.strictObject({
+  method: z.string().min(1).max(10),
+  path: z.string().min(1).max(2048),
+  status: z.number().int().min(100).max(599),
+  duration: z.number().nonnegative(),
+  timestamp,
+});
+
+registerEventCategory('api-request', {
+  description: 'An API request that completed successfully',
+  fields: apiCall.refine(({ status }) => status < 400, {
+    message: 'api-request events must have a status below 400',
+    path: ['status'],
+  }),
+});
+
+registerEventCategory('api-error', {
+  description: 'An API request that failed with a 4xx or 5xx status',
+  fields: apiCall.refine(({ status }) => status >= 400, {
+    message: 'api-error events must have a status of 400 or above',
+    path: ['status'],
+  }),
+});
+
+registerEventCategory('milestone-reached', {
+  description: 'A user reached a usage milestone',
+  fields: z.strictObject({
+    userId: z.string().min(1).max(200),
+    userEmail: z.email(),
+    milestone: z.string().max(200).optional(),
+    timestamp,
+  }),
+});
+
+registerEventCategory('test', {
+  description: 'Connectivity check with the event platform',
+  fields: z.strictObject({
+    service: z.string().max(100),
+    app: z.string().max(100),
+    timestamp,
+  }),
+});
+
+module.exports = {
+  registerEventCategory,
+  getEventCategory,
+  listEventCategories,
+};
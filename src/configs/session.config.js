@@ -0,0 +1,8 @@
+// Sessions are issued by the handshake endpoint and expire after a fixed
+// lifetime, the extension handshakes again when its session runs out
+const sessionConfig = {
+  SESSION_TTL: parseInt(process.env.SESSION_TTL) || 24 * 60 * 60 * 1000,
+  SWEEP_INTERVAL: 10 * 60 * 1000,
+};
+
+module.exports = sessionConfig;
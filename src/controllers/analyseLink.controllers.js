@@ -1,6 +1,59 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
 const logger = require('../configs/logger.config');
-const processLink = require('../services/process.service');
-const { extractVideoNameFromGroupingKey } = require('../utils/process.utils');
+const {
+  processLink,
+  cancelProcess,
+  purgeProcess,
+  resumeProcess,
+  stopRecording,
+  isQueueFull,
+  getQueuePosition,
+} = require('../services/process.service');
+const { QUEUE_RETRY_AFTER, JOBS_DIR } = require('../configs/download.config');
+const jobStore = require('../services/job.service');
+const { createHttpError } = require('../utils/error.utils');
+const { DOWNLOAD_STATUS } = require('../../chrome-extension/shared/constants');
+const {
+  getVideoGroupingKey,
+  extractVideoNameFromGroupingKey,
+  buildDownloadFilename,
+} = require('../utils/process.utils');
+const {
+  DEFAULT_QUALITY_POLICY,
+  parseQualityPolicy,
+} = require('../utils/quality.utils');
+const { webVttToSrt } = require('../utils/subtitle.utils');
+
+// Subtitles are stored as WebVTT and converted to SRT on download
+const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// Links handed to the extension carry the job's access key, EventSource
+// and downloads cannot send the API token. Only its hash is stored, so the
+// key comes from the request (req.jobKey): set when the job is created or
+// when the request itself used the key. Links for token requests need the
+// token.
+const jobUrl = (req, action, job, subpath = '') => {
+  const url = `${req.protocol}://${req.get('host')}/api/video/${action}/${job.id}${subpath}`;
+  return req.jobKey ? `${url}?key=${req.jobKey}` : url;
+};
+
+// Live figures shared by the status response and the progress stream
+const summarizeJob = job => ({
+  processId: job.id,
+  status: job.status,
+  progress: job.progress,
+  bytesDownloaded: job.bytesDownloaded,
+  totalBytes: job.totalBytes,
+  segmentsDownloaded: job.segmentsDownloaded,
+  totalSegments: job.totalSegments,
+  bytesPerSecond: job.bytesPerSecond,
+  etaSeconds: job.etaSeconds,
+  recordedSeconds: job.recordedSeconds ?? null,
+  queuePosition: getQueuePosition(job.id),
+  error: job.error,
+});
 
 const analyseLink = async (req, res, next) => {
   try {
@@ -13,8 +66,17 @@ const analyseLink = async (req, res, next) => {
       metadata,
       m3u8Urls,
       detectedStreams,
+      subtitles,
       cookies,
-      sessionId,
+      qualityPolicy = DEFAULT_QUALITY_POLICY,
+      priority,
+      audioOnly,
+      audioLanguages,
+      multipleAudio,
+      maxDuration,
+      liveFromStart,
+      startTime,
+      endTime,
     } = req.body;
 
     // Validate required fields
@@ -22,6 +84,21 @@ const analyseLink = async (req, res, next) => {
       throw new Error('No video url provided');
     }
 
+    // Refuse new work rather than let the backlog grow without bound
+    if (isQueueFull()) {
+      res.set('Retry-After', String(QUEUE_RETRY_AFTER));
+      throw createHttpError(
+        429,
+        'Too many videos are waiting, try again later',
+        {
+          retryAfter: QUEUE_RETRY_AFTER,
+        }
+      );
+    }
+
+    // validateLinks already rejected policies that do not parse
+    const policy = parseQualityPolicy(qualityPolicy);
+
     // Log the video processing request
     logger.info('Video Processing Request Received', {
       title,
@@ -33,7 +110,6 @@ const analyseLink = async (req, res, next) => {
       m3u8Count: m3u8Urls?.length || 0,
       streamCount: detectedStreams?.length || 0,
       cookieCount: cookies?.length || 0,
-      hasSessionId: !!sessionId,
     });
 
     // Log cookie information if provided
@@ -41,7 +117,7 @@ const analyseLink = async (req, res, next) => {
       logger.info('Cookies received for video processing', {
         domain: cookies[0]?.domain || 'unknown',
         cookieCount: cookies.length,
-        sessionId: sessionId,
+        installId: req.session.installId,
       });
       console.log('🍪 Cookies received for video download authentication');
     }
@@ -70,7 +146,7 @@ const analyseLink = async (req, res, next) => {
 
         if (!videoGroups.has(groupingKey)) {
           videoGroups.set(groupingKey, {
-            groupingKey: groupingKey,
+            groupingKey,
             name: null, // Will be determined after all streams are grouped
             domain: stream.domain,
             streams: [],
@@ -113,29 +189,63 @@ const analyseLink = async (req, res, next) => {
       });
     }
 
-    // Generate a demo process ID
-    const processId =
-      'demo_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11);
+    const processId = crypto.randomUUID();
+    req.jobKey = crypto.randomBytes(24).toString('base64url');
 
-    //process them with ffmpeg
-    processLink(processId, sessionId);
+    const job = jobStore.create({
+      id: processId,
+      accessKey: req.jobKey,
+      // The job, and the cookies it holds, expire with this session
+      sessionId: req.session.id,
+      installId: req.session.installId,
+      title,
+      source: {
+        videoUrl,
+        m3u8Urls,
+        detectedStreams: detectedStreams?.map(({ url, format }) => ({
+          url,
+          format,
+        })),
+        subtitles,
+        quality,
+        platform,
+        duration,
+      },
+      options: {
+        qualityPolicy: policy.label,
+        priority,
+        audioOnly,
+        audioLanguages,
+        multipleAudio,
+        maxDuration,
+        liveFromStart,
+        clip:
+          startTime !== undefined || endTime !== undefined
+            ? { startTime, endTime }
+            : null,
+      },
+    });
 
-    // Simulate processing delay and return demo download link
-    setTimeout(() => {
-      logger.info(
-        `Demo processing completed for: ${title} (Process ID: ${processId})`
-      );
-    }, 2000);
+    // Download runs in the background once the queue has room, clients
+    // poll the status endpoint
+    processLink(processId, { cookies });
+    const queuePosition = getQueuePosition(processId);
 
-    // Return demo response with download link and grouped videos
     res.status(200).json({
       success: true,
-      processId: processId,
-      message: 'Video processing started (demo mode)',
-      downloadUrl: `${req.protocol}://${req.get('host')}/api/video/download/${processId}`,
-      estimatedTime: '30 seconds',
-      title: title,
-      groupedVideos: groupedVideos,
+      processId,
+      message: queuePosition
+        ? `Video processing queued at position ${queuePosition}`
+        : 'Video processing started',
+      queuePosition,
+      downloadUrl: jobUrl(req, 'download', job),
+      statusUrl: jobUrl(req, 'status', job),
+      progressUrl: jobUrl(req, 'progress', job),
+      cancelUrl: jobUrl(req, 'process', job),
+      // Only live recordings can be stopped, see the status response's live
+      stopUrl: jobUrl(req, 'process', job, '/stop'),
+      title,
+      groupedVideos,
       originalM3U8Count: m3u8Urls?.length || 0,
       groupedVideoCount: groupedVideos.length,
     });
@@ -155,13 +265,53 @@ const processStatus = async (req, res, next) => {
 
     logger.info('Status check for process ID:', processId);
 
-    // Demo response - always return completed status
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+
     res.status(200).json({
-      processId: processId,
-      status: 'completed',
-      progress: 100,
-      downloadUrl: `${req.protocol}://${req.get('host')}/api/video/download/${processId}`,
-      message: 'Demo video ready for download',
+      ...summarizeJob(job),
+      title: job.title,
+      format: job.format ?? null,
+      qualitySelection: job.qualitySelection ?? null,
+      audioOnly: !!job.options?.audioOnly,
+      // Track files stay on the server, only their description is public
+      tracks: job.tracks?.map(({ path: _path, ...track }) => track) ?? [],
+      clip: job.options?.clip
+        ? { ...job.options.clip, start: job.clipStart ?? null }
+        : null,
+      live: !!job.live,
+      maxDuration: job.live ? job.maxDuration : null,
+      stopReason: job.stopReason ?? null,
+      // Extra downloads besides the video, each subtitle as VTT and SRT
+      files: (job.subtitles ?? []).flatMap(subtitle =>
+        SUBTITLE_FORMATS.map(format => ({
+          type: 'subtitles',
+          language: subtitle.language,
+          label: subtitle.label,
+          kind: subtitle.kind,
+          format,
+          url: jobUrl(
+            req,
+            'download',
+            job,
+            `/subtitles/${subtitle.name}.${format}`
+          ),
+        }))
+      ),
+      stopUrl:
+        job.status === DOWNLOAD_STATUS.RECORDING
+          ? jobUrl(req, 'process', job, '/stop')
+          : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      downloadUrl:
+        job.status === DOWNLOAD_STATUS.COMPLETED
+          ? jobUrl(req, 'download', job)
+          : null,
     });
   } catch (error) {
     logger.error('Error processing status', error);
@@ -169,6 +319,68 @@ const processStatus = async (req, res, next) => {
   }
 };
 
+// Server-Sent Events stream of a job's progress. Sends a 'state' event for
+// every status change, 'progress' events while segments arrive and closes
+// with a final 'completed', 'failed' or 'cancelled' event.
+const processProgress = async (req, res, next) => {
+  try {
+    const { processId } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobStore.off('update', onUpdate);
+    };
+
+    const finish = finishedJob => {
+      send(finishedJob.status, summarizeJob(finishedJob));
+      cleanup();
+      res.end();
+    };
+
+    const onUpdate = (updatedJob, changes) => {
+      if (updatedJob.id !== processId) return;
+
+      if (jobStore.isFinished(updatedJob)) {
+        finish(updatedJob);
+      } else {
+        send(changes.status ? 'state' : 'progress', summarizeJob(updatedJob));
+      }
+    };
+
+    send('state', summarizeJob(job));
+
+    if (jobStore.isFinished(job)) {
+      finish(job);
+      return;
+    }
+
+    jobStore.on('update', onUpdate);
+    req.on('close', cleanup);
+  } catch (error) {
+    logger.error('Error streaming progress', error);
+    next(error);
+  }
+};
+
 const downloadLink = async (req, res, next) => {
   try {
     const { processId } = req.params;
@@ -179,20 +391,272 @@ const downloadLink = async (req, res, next) => {
 
     logger.info('Download request for process ID:', processId);
 
-    // In demo mode, serve local sample video
-    const demoVideoUrl = `${req.protocol}://${req.get('host')}/public/sample-video.mp4`;
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+
+    if (job.status !== DOWNLOAD_STATUS.COMPLETED) {
+      throw createHttpError(409, 'Video is not ready for download yet', {
+        processId,
+        status: job.status,
+        progress: job.progress,
+        jobError: job.error,
+      });
+    }
 
-    logger.info('Redirecting to local demo video:', demoVideoUrl);
+    const filename = buildDownloadFilename(
+      job.title,
+      path.extname(job.outputPath)
+    );
 
-    res.redirect(demoVideoUrl);
+    // res.download takes care of Content-Type, Content-Length,
+    // Content-Disposition and Range requests for seeking and resuming
+    res.download(job.outputPath, filename, error => {
+      if (error && !res.headersSent) {
+        logger.error('Error sending output file', {
+          processId,
+          error: error.message,
+        });
+        next(
+          error.code === 'ENOENT'
+            ? createHttpError(410, 'Output file is no longer available')
+            : error
+        );
+      }
+    });
   } catch (error) {
     logger.error('Error processing download link', error);
     next(error);
   }
 };
 
+// A subtitle file of a completed job, as stored (WebVTT) or converted to
+// SRT. The file name is the subtitle's name plus the format wanted.
+const downloadSubtitles = async (req, res, next) => {
+  try {
+    const { processId, file } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+
+    const [, name, format] = /^(.+)\.([a-z]+)$/.exec(file) ?? [];
+    const subtitle = job.subtitles?.find(candidate => candidate.name === name);
+    if (!subtitle || !SUBTITLE_FORMATS.includes(format)) {
+      throw createHttpError(404, `No subtitle file ${file} for this job`, {
+        processId,
+        available: (job.subtitles ?? []).map(({ name: known }) => known),
+      });
+    }
+
+    const filePath = path.join(JOBS_DIR, processId, subtitle.file);
+    const filename = buildDownloadFilename(
+      job.title,
+      `.${subtitle.name}.${format}`
+    );
+
+    if (format === 'vtt') {
+      res.download(filePath, filename, error => {
+        if (error && !res.headersSent) {
+          next(
+            error.code === 'ENOENT'
+              ? createHttpError(410, 'Subtitle file is no longer available')
+              : error
+          );
+        }
+      });
+      return;
+    }
+
+    let text;
+    try {
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw error.code === 'ENOENT'
+        ? createHttpError(410, 'Subtitle file is no longer available')
+        : error;
+    }
+
+    res.attachment(filename);
+    res.type('application/x-subrip; charset=utf-8');
+    res.send(webVttToSrt(text));
+  } catch (error) {
+    logger.error('Error processing subtitle download', error);
+    next(error);
+  }
+};
+
+// Stop a running job, its partial files are removed and it ends cancelled
+const cancelLink = async (req, res, next) => {
+  try {
+    const { processId } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+    if (jobStore.isFinished(job)) {
+      throw createHttpError(409, `Job has already ${job.status}`, {
+        processId,
+        status: job.status,
+      });
+    }
+
+    logger.info('Cancel requested for process ID:', processId);
+    await cancelProcess(processId);
+
+    // The job may have finished on its own while the cancel was underway
+    const finalJob = jobStore.get(processId);
+
+    res.status(200).json({
+      success: finalJob.status === DOWNLOAD_STATUS.CANCELLED,
+      processId,
+      status: finalJob.status,
+      message:
+        finalJob.status === DOWNLOAD_STATUS.CANCELLED
+          ? 'Video processing cancelled'
+          : `Job ${finalJob.status} before it could be cancelled`,
+    });
+  } catch (error) {
+    logger.error('Error cancelling process', error);
+    next(error);
+  }
+};
+
+// Delete a finished job's output and forget the job
+const purgeLink = async (req, res, next) => {
+  try {
+    const { processId } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+    if (!jobStore.isFinished(job)) {
+      throw createHttpError(409, 'Cancel the job before purging it', {
+        processId,
+        status: job.status,
+      });
+    }
+
+    await purgeProcess(processId);
+    logger.info('Purged process ID:', processId);
+
+    res.status(200).json({
+      success: true,
+      processId,
+      message: 'Job and its files were removed',
+    });
+  } catch (error) {
+    logger.error('Error purging process', error);
+    next(error);
+  }
+};
+
+// Queue a failed job again, it continues from its last checkpoint
+const resumeLink = async (req, res, next) => {
+  try {
+    const { processId } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+    if (job.status !== DOWNLOAD_STATUS.FAILED) {
+      throw createHttpError(409, 'Only failed jobs can be resumed', {
+        processId,
+        status: job.status,
+      });
+    }
+    if (job.live) {
+      throw createHttpError(409, 'Live recordings cannot be resumed', {
+        processId,
+      });
+    }
+    if (isQueueFull()) {
+      res.set('Retry-After', String(QUEUE_RETRY_AFTER));
+      throw createHttpError(
+        429,
+        'Too many videos are waiting, try again later',
+        {
+          retryAfter: QUEUE_RETRY_AFTER,
+        }
+      );
+    }
+
+    logger.info('Resume requested for process ID:', processId);
+    resumeProcess(processId, { cookies: req.body.cookies });
+    const queuePosition = getQueuePosition(processId);
+
+    res.status(200).json({
+      success: true,
+      processId,
+      status: jobStore.get(processId).status,
+      resumedFrom: job.checkpoint ?? null,
+      queuePosition,
+      message: queuePosition
+        ? `Video processing queued at position ${queuePosition}`
+        : 'Video processing resumed',
+      statusUrl: jobUrl(req, 'status', job),
+      progressUrl: jobUrl(req, 'progress', job),
+    });
+  } catch (error) {
+    logger.error('Error resuming process', error);
+    next(error);
+  }
+};
+
+// End a live recording, the job finishes with what was recorded so far
+const stopLink = async (req, res, next) => {
+  try {
+    const { processId } = req.params;
+
+    const job = jobStore.get(processId);
+    if (!job) {
+      throw createHttpError(404, `No job found for process id ${processId}`);
+    }
+    if (job.status !== DOWNLOAD_STATUS.RECORDING) {
+      throw createHttpError(409, 'Job is not recording a live stream', {
+        processId,
+        status: job.status,
+      });
+    }
+
+    logger.info('Stop requested for process ID:', processId);
+    await stopRecording(processId);
+
+    const finalJob = jobStore.get(processId);
+
+    res.status(200).json({
+      success: finalJob.status === DOWNLOAD_STATUS.COMPLETED,
+      processId,
+      status: finalJob.status,
+      recordedSeconds: finalJob.recordedSeconds ?? null,
+      message:
+        finalJob.status === DOWNLOAD_STATUS.COMPLETED
+          ? 'Live recording stopped'
+          : `Job ${finalJob.status} while stopping`,
+      downloadUrl:
+        finalJob.status === DOWNLOAD_STATUS.COMPLETED
+          ? jobUrl(req, 'download', finalJob)
+          : null,
+    });
+  } catch (error) {
+    logger.error('Error stopping recording', error);
+    next(error);
+  }
+};
+
 module.exports = {
   analyseLink,
+  cancelLink,
+  stopLink,
+  purgeLink,
+  resumeLink,
   processStatus,
+  processProgress,
   downloadLink,
+  downloadSubtitles,
 };
@@ -0,0 +1,117 @@
+const logger = require('../configs/logger.config');
+const tokenStore = require('../services/token.service');
+const { createHttpError } = require('../utils/error.utils');
+
+const describeToken = (record, currentId) => ({
+  tokenId: record.id,
+  name: record.name,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt,
+  current: record.id === currentId,
+});
+
+// Root page showing the pairing code. It is served without CORS headers so
+// other sites cannot read the code from a visitor's browser, and only to
+// loopback (see requireLoopback).
+const pairingPage = async (req, res, next) => {
+  try {
+    const { code, expiresAt } = tokenStore.getPairingCode();
+    const minutesLeft = Math.max(
+      1,
+      Math.round((Date.parse(expiresAt) - Date.now()) / 60000)
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="refresh" content="30">
+  <title>Click2Save pairing</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: center; padding-top: 80px; color: #333; }
+    .code { font-size: 48px; font-weight: 600; letter-spacing: 12px; color: #1976d2; margin: 24px 0; }
+    .hint { color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>🎬 Video Downloader Assistant</h1>
+  <p>Enter this code in the extension popup to pair it with this server:</p>
+  <div class="code">${code}</div>
+  <p class="hint">The code works once and expires in about ${minutesLeft} minute(s). This page refreshes on its own.</p>
+  <p class="hint">${tokenStore.list().length} client(s) paired.</p>
+</body>
+</html>`);
+  } catch (error) {
+    logger.error('Error rendering pairing page', error);
+    next(error);
+  }
+};
+
+// Exchange the pairing code for an API token
+const pair = async (req, res, next) => {
+  try {
+    const { code, name } = req.body;
+
+    const result = tokenStore.pair(code, name);
+    if (!result) {
+      throw createHttpError(403, 'Pairing code is wrong or has expired', {
+        code: 'PAIRING_FAILED',
+      });
+    }
+
+    logger.info('Client paired', { tokenId: result.record.id, name });
+    console.log(`🔐 Paired new client "${name}"`);
+
+    res.status(201).json({
+      success: true,
+      token: result.token,
+      ...describeToken(result.record, result.record.id),
+    });
+  } catch (error) {
+    logger.error('Error pairing client', error);
+    next(error);
+  }
+};
+
+const listTokens = async (req, res, next) => {
+  try {
+    const tokens = tokenStore
+      .list()
+      .map(record => describeToken(record, req.apiToken.id));
+
+    res.status(200).json({ success: true, count: tokens.length, tokens });
+  } catch (error) {
+    logger.error('Error listing tokens', error);
+    next(error);
+  }
+};
+
+const revokeToken = async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!tokenStore.revoke(tokenId)) {
+      throw createHttpError(404, `No token found with id ${tokenId}`);
+    }
+
+    logger.info('Token revoked', { tokenId, revokedBy: req.apiToken.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked',
+      tokenId,
+      current: tokenId === req.apiToken.id,
+    });
+  } catch (error) {
+    logger.error('Error revoking token', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  pairingPage,
+  pair,
+  listTokens,
+  revokeToken,
+};
@@ -1,15 +1,11 @@
 const logger = require('../configs/logger.config');
 const eventService = require('../services/event.service');
+const { listEventCategories } = require('../configs/event-categories.config');
 
 const createEvent = async (req, res, next) => {
   try {
     const { category, fields, userId, userEmail } = req.body;
 
-    // Validate required fields
-    if (!category) {
-      throw new Error('No category provided');
-    }
-
     // Log the event creation request
     logger.info('Event Creation Request Received', {
       category,
@@ -76,6 +72,7 @@ const trackMilestone = async (req, res, next) => {
       userId,
       userEmail,
       milestone,
+      installId: req.session.installId,
     });
 
     // Send milestone event
@@ -154,8 +151,25 @@ const testConnection = async (req, res, next) => {
   }
 };
 
+// List the registered event categories and their field schemas
+const listCategories = async (req, res, next) => {
+  try {
+    const categories = listEventCategories();
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      categories,
+    });
+  } catch (error) {
+    logger.error('Error listing event categories', error);
+    next(error);
+  }
+};
+
 module.exports = {
   createEvent,
+  listCategories,
   trackMilestone,
   testConnection,
-};
\ No newline at end of file
+};
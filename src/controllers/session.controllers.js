@@ -0,0 +1,63 @@
+const logger = require('../configs/logger.config');
+const sessionStore = require('../services/session.service');
+
+const describeSession = session => ({
+  sessionId: session.id,
+  installId: session.installId,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+});
+
+// Handshake: issue a session for the calling extension install
+const createSession = async (req, res, next) => {
+  try {
+    const { installId, extensionVersion } = req.body;
+
+    const session = sessionStore.create({ installId, extensionVersion });
+
+    logger.info('Session issued', {
+      installId,
+      extensionVersion,
+      expiresAt: session.expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      ...describeSession(session),
+    });
+  } catch (error) {
+    logger.error('Error creating session', error);
+    next(error);
+  }
+};
+
+const sessionInfo = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      ...describeSession(req.session),
+    });
+  } catch (error) {
+    logger.error('Error reading session', error);
+    next(error);
+  }
+};
+
+const endSession = async (req, res, next) => {
+  try {
+    sessionStore.remove(req.session);
+
+    logger.info('Session ended', { installId: req.session.installId });
+
+    res.status(200).json({ success: true, message: 'Session ended' });
+  } catch (error) {
+    logger.error('Error ending session', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  createSession,
+  sessionInfo,
+  endSession,
+};
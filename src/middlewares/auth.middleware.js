@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const logger = require('../configs/logger.config');
+const jobStore = require('../services/job.service');
+const sessionStore = require('../services/session.service');
+const tokenStore = require('../services/token.service');
+const { createHttpError } = require('../utils/error.utils');
+
+const bearerToken = req => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+const tokenError = (message, code) => createHttpError(401, message, { code });
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const isLoopbackAddress = address =>
+  address === '::1' || /^(::ffff:)?127\./.test(address || '');
+
+// Only this machine may read the pairing code. The Host header is checked
+// too, a DNS-rebinding page reaches the server from the visitor's own
+// loopback address but with its own host name.
+const requireLoopback = async (req, res, next) => {
+  const host = (req.get('Host') || '').replace(/:\d+$/, '').toLowerCase();
+
+  if (isLoopbackAddress(req.socket.remoteAddress) && LOOPBACK_HOSTS.has(host)) {
+    return next();
+  }
+
+  logger.warn('Refused pairing page outside loopback', {
+    remoteAddress: req.socket.remoteAddress,
+    host,
+  });
+  next(createHttpError(403, 'The pairing code is only shown on this machine'));
+};
+
+// Require an API token from pairing, exposed as req.apiToken
+const requireToken = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    if (!token) {
+      throw tokenError(
+        'Pair the extension with this server first',
+        'TOKEN_REQUIRED'
+      );
+    }
+
+    const record = tokenStore.verify(token);
+    if (!record) {
+      throw tokenError('Invalid or revoked API token', 'TOKEN_INVALID');
+    }
+
+    req.apiToken = record;
+    next();
+  } catch (e) {
+    logger.warn('Token check failed', { path: req.path, message: e.message });
+    next(e);
+  }
+};
+
+// timingSafeEqual compares bytes, a non-ASCII value can have as many
+// characters but more bytes
+const sameSecret = (value, secret) => {
+  if (typeof value !== 'string' || !secret) return false;
+
+  const a = Buffer.from(value);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Status, progress and download links are opened by EventSource and plain
+// navigation, which cannot send headers. Besides the token they accept the
+// job's own access key as ?key=. Jobs belong to the server session that
+// created them: once it has expired they are refused, and token requests
+// have to come from that session.
+const requireJobAccess = async (req, res, next) => {
+  const job = jobStore.get(req.params.processId);
+
+  if (job?.sessionId && !sessionStore.isActive(job.sessionId)) {
+    return next(
+      createHttpError(410, 'Job expired with its session', {
+        code: 'SESSION_EXPIRED',
+      })
+    );
+  }
+
+  if (jobStore.verifyAccessKey(job, req.query.key)) {
+    // Links in the response repeat the key, see jobUrl
+    req.jobKey = req.query.key;
+    return next();
+  }
+
+  return requireToken(req, res, error => {
+    if (
+      !error &&
+      job?.sessionId &&
+      !sameSecret(req.get('X-Session-Id'), job.sessionId)
+    ) {
+      return next(
+        createHttpError(403, 'Job belongs to another session', {
+          code: 'JOB_SESSION_MISMATCH',
+        })
+      );
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  requireLoopback,
+  requireToken,
+  requireJobAccess,
+};
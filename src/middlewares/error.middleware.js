@@ -1,7 +1,9 @@
+const http = require('http');
 const logger = require('../configs/logger.config');
 const eventService = require('../services/event.service');
 
-const errorMiddleware = async (err, req, res, next) => {
+// Express only treats four-argument middleware as an error handler
+const errorMiddleware = async (err, req, res, _next) => {
   logger.info('Global error handler', err);
 
   const statusCode = err.status || 500;
@@ -12,11 +14,16 @@ const errorMiddleware = async (err, req, res, next) => {
     statusCode,
     path: req.path,
     method: req.method,
-    userAgent: req.get('User-Agent')
+    userAgent: req.get('User-Agent'),
   });
 
+  // Details come first so they cannot replace error or message
   res.status(statusCode).json({
-    error: 'Internal server error',
+    ...err.details,
+    error:
+      statusCode >= 500
+        ? 'Internal server error'
+        : http.STATUS_CODES[statusCode] || 'Request failed',
     message,
   });
 };
@@ -1,12 +1,36 @@
 const logger = require('../configs/logger.config');
+const sessionStore = require('../services/session.service');
+const { createHttpError } = require('../utils/error.utils');
 
+// Require a live server-issued session, sent as the X-Session-Id header or
+// the sessionId body field. The session is exposed as req.session.
 const checkSessionId = async (req, res, next) => {
   try {
-    const { sessionId } = req.body;
-    console.log('session id good');
+    const sessionId = req.get('X-Session-Id') || req.body?.sessionId;
+
+    if (!sessionId) {
+      throw createHttpError(401, 'Session required', {
+        code: 'SESSION_REQUIRED',
+      });
+    }
+
+    const session = sessionStore.get(sessionId);
+    if (!session) {
+      throw createHttpError(401, 'Unknown session', {
+        code: 'SESSION_INVALID',
+      });
+    }
+    if (sessionStore.isExpired(session)) {
+      throw createHttpError(401, 'Session expired', {
+        code: 'SESSION_EXPIRED',
+        expiresAt: session.expiresAt,
+      });
+    }
+
+    req.session = session;
     next();
   } catch (e) {
-    logger.error('Error middleware', e);
+    logger.warn('Session check failed', { path: req.path, message: e.message });
     next(e);
   }
 };
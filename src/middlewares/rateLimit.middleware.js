@@ -0,0 +1,38 @@
+const logger = require('../configs/logger.config');
+const { createHttpError } = require('../utils/error.utils');
+
+// Allow at most max requests per client address in each window of
+// windowMs, answering 429 with Retry-After past that. Counts are kept in
+// memory and start again when the server restarts.
+const rateLimit = ({ windowMs, max }) => {
+  const clients = new Map();
+
+  return async (req, res, next) => {
+    const now = Date.now();
+
+    for (const [address, client] of clients) {
+      if (client.resetAt <= now) clients.delete(address);
+    }
+
+    const address = req.socket.remoteAddress;
+    const client = clients.get(address) ?? {
+      count: 0,
+      resetAt: now + windowMs,
+    };
+    client.count += 1;
+    clients.set(address, client);
+
+    if (client.count <= max) {
+      return next();
+    }
+
+    const retryAfter = Math.ceil((client.resetAt - now) / 1000);
+    logger.warn('Rate limit exceeded', { path: req.path, address });
+    res.set('Retry-After', String(retryAfter));
+    next(
+      createHttpError(429, 'Too many requests, try again later', { retryAfter })
+    );
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  pair,
+  listTokens,
+  revokeToken,
+} = require('../controllers/auth.controllers');
+const validatePairing = require('../validation/auth.validation');
+const { requireToken } = require('../middlewares/auth.middleware');
+const rateLimit = require('../middlewares/rateLimit.middleware');
+const {
+  PAIRING_RATE_LIMIT,
+  PAIRING_RATE_WINDOW,
+} = require('../configs/auth.config');
+const router = express.Router();
+
+// Exchange the code from the root page for an API token
+router.post(
+  '/pair',
+  rateLimit({ windowMs: PAIRING_RATE_WINDOW, max: PAIRING_RATE_LIMIT }),
+  validatePairing,
+  pair
+);
+
+// Paired clients
+router.get('/tokens', requireToken, listTokens);
+
+// Revoke a paired client's token
+router.delete('/tokens/:tokenId', requireToken, revokeToken);
+
+module.exports = router;
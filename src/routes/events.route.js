@@ -1,20 +1,27 @@
 const express = require('express');
 const {
   createEvent,
+  listCategories,
   trackMilestone,
   testConnection,
 } = require('../controllers/events.controllers');
-const validateEvents = require('../validation/events.validation');
+const {
+  validateEvents,
+  validateMilestone,
+} = require('../validation/events.validation');
 const checkSessionId = require('../middlewares/process.middleware');
 const router = express.Router();
 
 // Create general event
 router.post('/create', validateEvents, createEvent);
 
+// Registered event categories and the fields each one accepts
+router.get('/categories', listCategories);
+
 // Track milestone events
-router.post('/milestone', validateEvents, checkSessionId, trackMilestone);
+router.post('/milestone', validateMilestone, checkSessionId, trackMilestone);
 
 // Test event service connection
 router.get('/test', testConnection);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,18 +1,63 @@
 const express = require('express');
 const {
   processStatus,
+  processProgress,
   analyseLink,
+  cancelLink,
+  stopLink,
+  purgeLink,
+  resumeLink,
   downloadLink,
+  downloadSubtitles,
 } = require('../controllers/analyseLink.controllers');
-const validateLinks = require('../validation/process.validation');
+const {
+  validateLinks,
+  validateResume,
+} = require('../validation/process.validation');
 const checkSessionId = require('../middlewares/process.middleware');
+const {
+  requireToken,
+  requireJobAccess,
+} = require('../middlewares/auth.middleware');
 const router = express.Router();
 
 //process videos
-router.post('/process', validateLinks, checkSessionId, analyseLink);
+router.post(
+  '/process',
+  requireToken,
+  validateLinks,
+  checkSessionId,
+  analyseLink
+);
+
+// Cancel a running job
+router.delete('/process/:processId', requireJobAccess, cancelLink);
+
+// End a live recording with what was recorded so far
+router.post('/process/:processId/stop', requireJobAccess, stopLink);
+
+// Remove a finished job and its output
+router.post('/process/:processId/purge', requireJobAccess, purgeLink);
+
+// Continue a failed job from its last checkpoint
+router.post(
+  '/process/:processId/resume',
+  requireJobAccess,
+  validateResume,
+  resumeLink
+);
+
+router.get('/status/:processId', requireJobAccess, processStatus);
+
+router.get('/progress/:processId', requireJobAccess, processProgress);
 
-router.get('/status/:processId', processStatus);
+router.get('/download/:processId', requireJobAccess, downloadLink);
 
-router.get('/download/:processId', downloadLink);
+// Subtitle files of a completed job, e.g. en.vtt or en.srt
+router.get(
+  '/download/:processId/subtitles/:file',
+  requireJobAccess,
+  downloadSubtitles
+);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  createSession,
+  sessionInfo,
+  endSession,
+} = require('../controllers/session.controllers');
+const validateHandshake = require('../validation/session.validation');
+const checkSessionId = require('../middlewares/process.middleware');
+const router = express.Router();
+
+// Handshake, issues a session for an extension install
+router.post('/', validateHandshake, createSession);
+
+// Current session and its expiry
+router.get('/', checkSessionId, sessionInfo);
+
+// End the current session before it expires
+router.delete('/', checkSessionId, endSession);
+
+module.exports = router;
@@ -1,14 +1,25 @@
 const app = require('./app.js');
 const logger = require('./configs/logger.config');
+const {
+  pauseAllJobs,
+  resumeInterruptedJobs,
+  purgeExpiredSessionJobs,
+} = require('./services/process.service');
 
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server started and listening on http://localhost:${PORT}`);
+
+  // Jobs of sessions that expired while the server was down go first, then
+  // downloads cut short by the last shutdown continue where they stopped
+  purgeExpiredSessionJobs()
+    .catch(err => logger.error('Error removing expired session jobs', err))
+    .finally(resumeInterruptedJobs);
 });
 
 // Graceful shutdown function
-const shutdown = signal => {
+const shutdown = async signal => {
   console.log(`\n⚡️ Received ${signal}. Shutting down gracefully...`);
 
   // Set a timeout to force exit if graceful shutdown takes too long
@@ -17,6 +28,15 @@ const shutdown = signal => {
     process.exit(1);
   }, 10000);
 
+  // Running downloads stop at their last checkpoint and are resumed on the
+  // next start
+  try {
+    const pausedCount = await pauseAllJobs();
+    console.log(`⏸️ Stopped ${pausedCount} running download(s).`);
+  } catch (err) {
+    console.error('❌ Error pausing downloads:', err);
+  }
+
   // Check if server is actually running before trying to close
   if (server && server.listening) {
     server.close(err => {
@@ -26,13 +46,20 @@ const shutdown = signal => {
         process.exit(1);
       }
 
-      // Close logger transports to ensure all file handles are released
-      logger.close(() => {
+      // Close logger transports to ensure all file handles are released.
+      // winston's close() takes no callback, 'finish' fires once end() has
+      // flushed the transports.
+      logger.on('finish', () => {
         console.log('✅ Server closed successfully.');
         clearTimeout(forceShutdown);
         process.exit(0);
       });
+      logger.end();
     });
+
+    // Progress streams stay open until the job ends, close would wait on
+    // them until the forced exit
+    server.closeAllConnections();
   } else {
     console.log('📭 Server was not running.');
     clearTimeout(forceShutdown);
@@ -0,0 +1,367 @@
+const logger = require('../configs/logger.config');
+const { fetchText, fetchBuffer } = require('../utils/http.utils');
+const {
+  readBoxes,
+  parseTree,
+  findChild,
+  parseSidx,
+} = require('../utils/mp4.utils');
+const {
+  parseQualityPolicy,
+  selectByPolicy,
+  describeSelection,
+} = require('../utils/quality.utils');
+const { selectByLanguage } = require('../utils/language.utils');
+const {
+  parseDashManifest,
+} = require('../../chrome-extension/shared/manifest-parser');
+
+// Bytes read from the start of a single-file representation to find its
+// init segment, fragmented MP4 keeps ftyp and moov small
+const INIT_PROBE_SIZE = 256 * 1024;
+
+const isDashUrl = url => typeof url === 'string' && /\.mpd($|[?#])/i.test(url);
+
+const fetchManifest = async (url, requestOptions = {}) => {
+  const { text, url: finalUrl } = await fetchText(url, requestOptions);
+  const manifest = parseDashManifest(text, finalUrl);
+
+  if (manifest.dynamic) {
+    throw new Error('Live DASH streams are not supported');
+  }
+  if (manifest.periods.length === 0) {
+    throw new Error('DASH manifest contains no periods');
+  }
+
+  return manifest;
+};
+
+// Only ISO BMFF representations can be joined and muxed, WebM is skipped
+const isMp4Representation = representation =>
+  !representation.mimeType || /mp4/i.test(representation.mimeType);
+
+const drmError = contentType => {
+  const error = new Error(
+    `DASH ${contentType} is DRM-protected (ContentProtection) and cannot be downloaded`
+  );
+  error.code = 'DRM_PROTECTED';
+  return error;
+};
+
+// Adaptation sets of a content type in a period, only those in language
+// when it is given and the period has any
+const adaptationSetsFor = (period, contentType, language) => {
+  const sets = period.adaptationSets.filter(
+    set => set.contentType === contentType
+  );
+  const inLanguage = sets.filter(set => set.lang === language);
+
+  return language && inLanguage.length > 0 ? inLanguage : sets;
+};
+
+// Pick the representation of the given content type in a period, ignoring
+// protected adaptation sets when a clear one exists. The quality policy
+// applies to video, audio follows it only for 'worst'.
+const chooseRepresentation = (period, contentType, qualityPolicy, language) => {
+  const sets = adaptationSetsFor(period, contentType, language);
+  if (sets.length === 0) return null;
+
+  const clearSets = sets.filter(set => !set.protected);
+  if (clearSets.length === 0) {
+    throw drmError(contentType);
+  }
+
+  const candidates = clearSets.flatMap(set =>
+    set.representations.filter(isMp4Representation)
+  );
+  if (candidates.length === 0) {
+    throw new Error(`No MP4 ${contentType} representation in DASH manifest`);
+  }
+
+  const policy =
+    contentType === 'video' || qualityPolicy.type === 'worst'
+      ? qualityPolicy
+      : parseQualityPolicy('best');
+
+  return { candidates, ...selectByPolicy(candidates, policy) };
+};
+
+// SegmentBase representations are a single file indexed by a sidx box
+const expandSegmentBase = async (segmentInfo, requestOptions) => {
+  if (!segmentInfo.indexRange) {
+    return [{ uri: segmentInfo.baseUrl, byteRange: null, number: null }];
+  }
+
+  const index = await fetchBuffer(segmentInfo.baseUrl, {
+    ...requestOptions,
+    byteRange: segmentInfo.indexRange,
+  });
+  const sidx = parseSidx(index, segmentInfo.indexRange.offset);
+
+  if (sidx.references.some(reference => reference.type === 'index')) {
+    throw new Error('Hierarchical sidx indexes are not supported');
+  }
+
+  return sidx.references.map((reference, index) => ({
+    uri: segmentInfo.baseUrl,
+    byteRange: { offset: reference.offset, length: reference.size },
+    number: index + 1,
+    start: (reference.time - sidx.earliestPresentationTime) / sidx.timescale,
+    duration: reference.duration / sidx.timescale,
+  }));
+};
+
+// Byte range of the ftyp and moov boxes a single-file representation
+// starts with. Progressive MP4, whose moov describes every sample, cannot
+// be joined as fragments and is refused.
+const probeInitRange = async (baseUrl, requestOptions) => {
+  const head = await fetchBuffer(baseUrl, {
+    ...requestOptions,
+    byteRange: { offset: 0, length: INIT_PROBE_SIZE },
+  });
+  const moov = readBoxes(head).find(({ type }) => type === 'moov');
+
+  if (!moov) {
+    throw new Error(`No moov box at the start of ${baseUrl}`);
+  }
+  if (!findChild(parseTree(head, moov.start, moov.end)[0], 'mvex')) {
+    throw new Error('Progressive MP4 DASH representations are not supported');
+  }
+
+  return { offset: 0, length: moov.end };
+};
+
+// Init segment of a single-file representation without an Initialization
+// element: everything before the sidx, or the leading ftyp and moov boxes
+const implicitInitialization = async (segmentInfo, requestOptions) => ({
+  uri: segmentInfo.baseUrl,
+  byteRange: segmentInfo.indexRange
+    ? { offset: 0, length: segmentInfo.indexRange.offset }
+    : await probeInitRange(segmentInfo.baseUrl, requestOptions),
+});
+
+// Turn a representation into segments shaped like HLS playlist entries so
+// the shared segment downloader can fetch them. Segment starts are moved
+// from the period onto the presentation timeline.
+const buildSegments = async (representation, periodStart, requestOptions) => {
+  const { segmentInfo } = representation;
+  const singleFile =
+    segmentInfo.addressing === 'base' || segmentInfo.addressing === 'single';
+  const segments =
+    segmentInfo.addressing === 'base'
+      ? await expandSegmentBase(segmentInfo, requestOptions)
+      : segmentInfo.segments;
+  const initialization =
+    segmentInfo.initialization ??
+    (singleFile
+      ? await implicitInitialization(segmentInfo, requestOptions)
+      : null);
+
+  // One map object per representation, the downloader fetches the init
+  // segment again only when the map changes
+  const map = initialization ? { ...initialization, key: null } : null;
+
+  // Without an index the whole file is one segment, its media starts after
+  // the init segment it carries
+  const mediaStart =
+    singleFile &&
+    !segmentInfo.indexRange &&
+    initialization?.uri === segmentInfo.baseUrl &&
+    initialization.byteRange
+      ? initialization.byteRange.offset + initialization.byteRange.length
+      : null;
+
+  return segments.map((segment, index) => ({
+    uri: segment.uri,
+    byteRange:
+      mediaStart === null
+        ? segment.byteRange
+        : { offset: mediaStart, length: null },
+    sequence: segment.number ?? index,
+    key: null,
+    map,
+    start: periodStart + segment.start,
+    duration: segment.duration,
+  }));
+};
+
+// One track of a content type across all periods, each period contributing
+// its chosen representation, and how the first choice matched the quality
+// policy. language picks among audio adaptation sets. Returns null when no
+// period has that content type.
+const resolveTrack = async (
+  manifest,
+  contentType,
+  requestOptions,
+  qualityPolicy,
+  language = null
+) => {
+  const track = {
+    type: contentType,
+    language,
+    representations: [],
+    segments: [],
+  };
+  let qualitySelection = null;
+
+  for (const period of manifest.periods) {
+    const choice = chooseRepresentation(
+      period,
+      contentType,
+      qualityPolicy,
+      language
+    );
+    if (!choice) continue;
+
+    const representation = choice.selected;
+    qualitySelection ??= describeSelection(
+      qualityPolicy,
+      choice.candidates,
+      choice
+    );
+
+    track.representations.push(representation);
+    track.segments.push(
+      ...(await buildSegments(
+        representation,
+        period.start ?? 0,
+        requestOptions
+      ))
+    );
+  }
+
+  return track.segments.length > 0 ? { track, qualitySelection } : null;
+};
+
+// Plain WebVTT text AdaptationSets, one subtitle per language and label
+// across periods. Cue times in them count from the start of their period.
+const resolveSubtitles = manifest => {
+  const subtitles = new Map();
+
+  for (const period of manifest.periods) {
+    for (const set of period.adaptationSets) {
+      if (set.contentType !== 'text' || set.protected) continue;
+
+      const representation = set.representations.find(
+        candidate => (candidate.mimeType ?? set.mimeType) === 'text/vtt'
+      );
+      if (!representation) continue;
+
+      const key = `${set.lang}|${set.label}`;
+      if (!subtitles.has(key)) {
+        subtitles.set(key, {
+          language: set.lang,
+          label: set.label,
+          kind: set.roles.includes('caption') ? 'captions' : 'subtitles',
+          source: 'dash',
+          segments: [],
+        });
+      }
+      subtitles.get(key).segments.push(
+        ...representation.segmentInfo.segments.map(segment => ({
+          uri: segment.uri,
+          byteRange: segment.byteRange,
+          offset: period.start ?? 0,
+        }))
+      );
+    }
+  }
+
+  return [...subtitles.values()];
+};
+
+// Languages of the audio tracks to download: the preferred ones the
+// manifest has ({ languages, multiple }, see selectByLanguage), otherwise
+// that of the main audio. [null] when the audio is not tagged.
+const chooseAudioLanguages = (manifest, audioPreference = {}) => {
+  const sets = manifest.periods
+    .flatMap(period => period.adaptationSets)
+    .filter(set => set.contentType === 'audio');
+  const available = [...new Set(sets.map(set => set.lang).filter(Boolean))];
+
+  const preferred = selectByLanguage(
+    available,
+    audioPreference.languages ?? [],
+    language => language,
+    { multiple: audioPreference.multiple }
+  );
+  if (preferred.length > 0) return preferred;
+
+  const main = sets.find(set => set.roles.includes('main')) ?? sets[0];
+  return [main?.lang ?? null];
+};
+
+// Resolve the video and audio tracks of a DASH manifest, one audio track
+// per chosen language. Periods are joined in order. audioOnly resolves the
+// audio AdaptationSets alone, or the video as a muxed 'audio' track when
+// the manifest has none.
+const resolveTracks = async (
+  url,
+  requestOptions = {},
+  qualityPolicy = parseQualityPolicy(),
+  { audioOnly = false, audioPreference = {} } = {}
+) => {
+  const manifest = await fetchManifest(url, requestOptions);
+  const tracks = [];
+  let qualitySelection = null;
+
+  const wanted = [
+    ...(audioOnly ? [] : [{ contentType: 'video', language: null }]),
+    ...chooseAudioLanguages(manifest, audioPreference).map(language => ({
+      contentType: 'audio',
+      language,
+    })),
+  ];
+  for (const { contentType, language } of wanted) {
+    const resolved = await resolveTrack(
+      manifest,
+      contentType,
+      requestOptions,
+      qualityPolicy,
+      language
+    );
+    if (!resolved) continue;
+
+    if (contentType === 'video') {
+      qualitySelection = resolved.qualitySelection;
+    }
+    tracks.push(resolved.track);
+  }
+
+  if (audioOnly && tracks.length === 0) {
+    // Lowest bandwidth, the audio is usually the same in every video
+    const muxed = await resolveTrack(
+      manifest,
+      'video',
+      requestOptions,
+      parseQualityPolicy('worst')
+    );
+    if (muxed) tracks.push({ ...muxed.track, type: 'audio' });
+  }
+
+  if (tracks.length === 0) {
+    throw new Error(
+      audioOnly
+        ? 'DASH manifest has no audio representations'
+        : 'DASH manifest has no video or audio representations'
+    );
+  }
+
+  logger.info('DASH representations selected', {
+    policy: qualityPolicy.label,
+    periodCount: manifest.periods.length,
+    tracks: tracks.map(track => ({
+      type: track.type,
+      language: track.language,
+      representationIds: track.representations.map(({ id }) => id),
+      segmentCount: track.segments.length,
+    })),
+  });
+
+  return { tracks, qualitySelection, subtitles: resolveSubtitles(manifest) };
+};
+
+module.exports = {
+  isDashUrl,
+  resolveTracks,
+};
@@ -0,0 +1,225 @@
+const logger = require('../configs/logger.config');
+const { fetchText } = require('../utils/http.utils');
+const {
+  parseHlsPlaylist,
+  parseMediaPlaylist,
+} = require('../../chrome-extension/shared/manifest-parser');
+const {
+  parseQualityPolicy,
+  selectByPolicy,
+  describeSelection,
+} = require('../utils/quality.utils');
+const { selectByLanguage } = require('../utils/language.utils');
+
+const isHlsUrl = url => typeof url === 'string' && /\.m3u8($|[?#])/i.test(url);
+
+// Audio renditions in the preferred languages ({ languages, multiple },
+// see selectByLanguage), otherwise the DEFAULT one
+const pickAudioRenditions = (renditions, audioPreference = {}) => {
+  const preferred = selectByLanguage(
+    renditions,
+    audioPreference.languages ?? [],
+    rendition => rendition.language,
+    { multiple: audioPreference.multiple }
+  );
+  if (preferred.length > 0) return preferred;
+
+  const rendition =
+    renditions.find(candidate => candidate.default) || renditions[0];
+  return rendition ? [rendition] : [];
+};
+
+// A variant whose audio group points at its own playlists carries video
+// only. Renditions without a uri are muxed into the variant itself, when
+// one of those is picked the variant's own audio is used.
+const chooseAudioRenditions = (playlist, variant, audioPreference) => {
+  if (!variant.audio) return [];
+
+  const renditions = playlist.media.filter(
+    rendition =>
+      rendition.type === 'AUDIO' && rendition.groupId === variant.audio
+  );
+  const picked = pickAudioRenditions(renditions, audioPreference);
+
+  return picked.every(rendition => rendition.uri) ? picked : [];
+};
+
+const loadAudioRenditions = async (renditions, requestOptions) => {
+  const audio = [];
+  for (const rendition of renditions) {
+    const media = await fetchText(rendition.uri, requestOptions);
+    audio.push({
+      rendition,
+      playlist: parseMediaPlaylist(media.text, media.url),
+    });
+  }
+  return audio;
+};
+
+// WebVTT renditions with their own playlists, from the variant's subtitle
+// group when it names one. Closed captions are in-band and not listed.
+const subtitleRenditions = (playlist, variant = null) => {
+  const renditions = playlist.media.filter(
+    rendition =>
+      rendition.type === 'SUBTITLES' &&
+      rendition.uri &&
+      (!variant?.subtitles || rendition.groupId === variant.subtitles)
+  );
+
+  // Groups for other variants tend to repeat the same languages
+  const seen = new Set();
+  return renditions
+    .filter(rendition => {
+      const key = `${rendition.language}|${rendition.name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(rendition => ({
+      url: rendition.uri,
+      language: rendition.language,
+      label: rendition.name,
+      kind: rendition.characteristics?.includes('transcribes-spoken-dialog')
+        ? 'captions'
+        : 'subtitles',
+      source: 'hls',
+    }));
+};
+
+// Fetch a playlist and, when it is a master playlist, follow it down to the
+// media playlist of the variant the quality policy picks, and the audio
+// renditions in the preferred languages when the variant has separate ones
+const resolveMediaPlaylist = async (
+  url,
+  requestOptions = {},
+  qualityPolicy = parseQualityPolicy(),
+  audioPreference = {}
+) => {
+  const { text, url: finalUrl } = await fetchText(url, requestOptions);
+  const playlist = parseHlsPlaylist(text, finalUrl);
+
+  if (playlist.type === 'media') {
+    return {
+      playlist,
+      url: finalUrl,
+      qualitySelection: null,
+      audio: [],
+      subtitles: [],
+    };
+  }
+
+  if (playlist.variants.length === 0) {
+    throw new Error('HLS master playlist lists no variant streams');
+  }
+
+  const selection = selectByPolicy(playlist.variants, qualityPolicy);
+  const variant = selection.selected;
+  const audioRenditions = chooseAudioRenditions(
+    playlist,
+    variant,
+    audioPreference
+  );
+  logger.info('HLS variant selected', {
+    policy: qualityPolicy.label,
+    matched: selection.matched,
+    bandwidth: variant.bandwidth,
+    resolution: variant.height ? `${variant.width}x${variant.height}` : null,
+    variantCount: playlist.variants.length,
+    audioRenditions: audioRenditions.map(rendition => rendition.name),
+  });
+
+  const media = await fetchText(variant.uri, requestOptions);
+  const audio = await loadAudioRenditions(audioRenditions, requestOptions);
+
+  return {
+    playlist: parseMediaPlaylist(media.text, media.url),
+    url: media.url,
+    qualitySelection: describeSelection(
+      qualityPolicy,
+      playlist.variants,
+      selection
+    ),
+    audio,
+    subtitles: subtitleRenditions(playlist, variant),
+  };
+};
+
+// Variants whose codecs are all AAC carry no video
+const isAudioVariant = variant =>
+  !!variant.codecs &&
+  variant.codecs.split(',').every(codec => /^mp4a\./i.test(codec.trim()));
+
+// Audio-only counterpart of resolveMediaPlaylist, returning the audio
+// playlists with their renditions. Takes the EXT-X-MEDIA audio renditions
+// with their own playlist in the preferred languages, then an audio-only
+// variant, and otherwise the lowest bandwidth variant, whose AAC gets
+// pulled out of the muxed stream. Video playlists are not fetched when
+// audio has its own.
+const resolveAudioPlaylists = async (
+  url,
+  requestOptions = {},
+  audioPreference = {}
+) => {
+  const { text, url: finalUrl } = await fetchText(url, requestOptions);
+  const playlist = parseHlsPlaylist(text, finalUrl);
+
+  if (playlist.type === 'media') {
+    return { audio: [{ playlist, rendition: null }], subtitles: [] };
+  }
+
+  const renditions = pickAudioRenditions(
+    playlist.media.filter(
+      rendition => rendition.type === 'AUDIO' && rendition.uri
+    ),
+    audioPreference
+  );
+
+  if (renditions.length > 0) {
+    logger.info('HLS audio selected', {
+      source: 'rendition',
+      audioRenditions: renditions.map(rendition => rendition.name),
+      variantCount: playlist.variants.length,
+    });
+
+    return {
+      audio: await loadAudioRenditions(renditions, requestOptions),
+      subtitles: subtitleRenditions(playlist),
+    };
+  }
+
+  const audioVariants = playlist.variants.filter(isAudioVariant);
+  const { selected } =
+    audioVariants.length > 0
+      ? selectByPolicy(audioVariants, parseQualityPolicy('best'))
+      : selectByPolicy(playlist.variants, parseQualityPolicy('worst'));
+  if (!selected) {
+    throw new Error('HLS master playlist lists no variant streams');
+  }
+
+  logger.info('HLS audio selected', {
+    source: audioVariants.length > 0 ? 'audio variant' : 'muxed variant',
+    variantCount: playlist.variants.length,
+  });
+
+  const media = await fetchText(selected.uri, requestOptions);
+  return {
+    audio: [
+      {
+        playlist: parseMediaPlaylist(media.text, media.url),
+        rendition: null,
+      },
+    ],
+    subtitles: subtitleRenditions(playlist),
+  };
+};
+
+// Fragmented MP4 playlists carry their moov in an EXT-X-MAP init segment
+const isFragmentedMp4 = playlist =>
+  playlist.segments.some(segment => segment.map);
+
+module.exports = {
+  isHlsUrl,
+  isFragmentedMp4,
+  resolveMediaPlaylist,
+  resolveAudioPlaylists,
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../configs/logger.config');
+const { DATA_DIR } = require('../configs/download.config');
+const { DOWNLOAD_STATUS } = require('../../chrome-extension/shared/constants');
+
+const FINISHED_STATES = [
+  DOWNLOAD_STATUS.COMPLETED,
+  DOWNLOAD_STATUS.FAILED,
+  DOWNLOAD_STATUS.CANCELLED,
+];
+
+// Progress figures change with every segment. They are only kept in
+// memory, and journaled once the job finishes.
+const TRANSIENT_FIELDS = [
+  'progress',
+  'bytesDownloaded',
+  'segmentsDownloaded',
+  'bytesPerSecond',
+  'etaSeconds',
+  'recordedSeconds',
+];
+
+// Appends after which the journal is rewritten, checkpoints still add a
+// line per segment
+const COMPACT_AFTER = 1000;
+
+const hashAccessKey = key =>
+  crypto.createHash('sha256').update(key).digest('hex');
+
+// Job registry backed by an append-only JSONL journal. Every change is
+// appended as a partial record and replayed on startup, so the registry
+// survives restarts without needing a database. Emits 'update' with the
+// job and the changed fields whenever a job changes. Access keys are kept
+// as hashes, the key itself is only handed out when the job is created.
+class JobStore extends EventEmitter {
+  constructor() {
+    super();
+    // Every open progress stream subscribes to updates
+    this.setMaxListeners(0);
+
+    this.journalPath = path.join(DATA_DIR, 'jobs.jsonl');
+    this.jobs = new Map();
+    this.appendCount = 0;
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (entry.deleted) {
+            this.jobs.delete(entry.id);
+          } else {
+            this.jobs.set(entry.id, { ...this.jobs.get(entry.id), ...entry });
+          }
+        } catch {
+          // A crash mid-write can leave a torn last line, skip it
+          logger.warn('Skipping unreadable job journal entry');
+        }
+      }
+    }
+
+    // Journals from before access keys were hashed
+    for (const job of this.jobs.values()) {
+      if (job.accessKey) {
+        job.accessKeyHash = hashAccessKey(job.accessKey);
+        delete job.accessKey;
+      }
+    }
+
+    // Work that was queued or running when the server went down is picked
+    // up again from its checkpoint once the server starts
+    this.interrupted = [];
+    for (const job of this.jobs.values()) {
+      if (!FINISHED_STATES.includes(job.status)) {
+        Object.assign(job, {
+          status: DOWNLOAD_STATUS.PENDING,
+          updatedAt: new Date().toISOString(),
+        });
+        this.interrupted.push(job.id);
+      }
+    }
+
+    this.compact();
+    logger.info('Job store loaded', {
+      jobCount: this.jobs.size,
+      interruptedCount: this.interrupted.length,
+    });
+  }
+
+  // Rewrite the journal with one line per job
+  compact() {
+    const tempPath = `${this.journalPath}.tmp`;
+    const content = Array.from(this.jobs.values())
+      .map(job => JSON.stringify(job) + '\n')
+      .join('');
+
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.journalPath);
+    this.appendCount = 0;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+
+    if (++this.appendCount >= COMPACT_AFTER) {
+      this.compact();
+    }
+  }
+
+  // accessKey in data is stored as its hash, see verifyAccessKey
+  create({ accessKey, ...data }) {
+    const now = new Date().toISOString();
+    const job = {
+      status: DOWNLOAD_STATUS.PENDING,
+      progress: 0,
+      bytesDownloaded: 0,
+      totalBytes: null,
+      segmentsDownloaded: 0,
+      totalSegments: null,
+      bytesPerSecond: null,
+      etaSeconds: null,
+      error: null,
+      outputPath: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      ...data,
+      accessKeyHash: accessKey ? hashAccessKey(accessKey) : null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.append(job);
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  // Jobs created in a server session
+  findBySession(sessionId) {
+    return this.list().filter(job => job.sessionId === sessionId);
+  }
+
+  update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const entry = { ...changes, updatedAt: new Date().toISOString() };
+    if (changes.status && FINISHED_STATES.includes(changes.status)) {
+      entry.completedAt = entry.updatedAt;
+    }
+
+    Object.assign(job, entry);
+
+    const journaled = Object.keys(changes).filter(
+      field => !TRANSIENT_FIELDS.includes(field)
+    );
+    if (journaled.length > 0) {
+      const record = { id };
+      for (const field of Object.keys(entry)) {
+        if (!TRANSIENT_FIELDS.includes(field)) record[field] = entry[field];
+      }
+      // The final figures are kept with a finished job
+      if (entry.completedAt) {
+        for (const field of TRANSIENT_FIELDS) record[field] = job[field];
+      }
+      this.append(record);
+    }
+
+    this.emit('update', job, entry);
+
+    return job;
+  }
+
+  // Whether key is the access key the job was created with
+  verifyAccessKey(job, key) {
+    return (
+      typeof key === 'string' &&
+      !!job?.accessKeyHash &&
+      hashAccessKey(key) === job.accessKeyHash
+    );
+  }
+
+  // Forget a job, replayed on load through the deleted marker
+  remove(id) {
+    if (!this.jobs.delete(id)) return false;
+
+    this.append({ id, deleted: true });
+    return true;
+  }
+
+  // Ids of the jobs found unfinished on load, handed out once
+  takeInterrupted() {
+    const ids = this.interrupted;
+    this.interrupted = [];
+    return ids;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.status);
+  }
+}
+
+module.exports = new JobStore();
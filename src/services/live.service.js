@@ -0,0 +1,248 @@
+const fs = require('fs/promises');
+const { setTimeout: sleep } = require('timers/promises');
+const logger = require('../configs/logger.config');
+const { LIVE_STALL_RELOADS } = require('../configs/download.config');
+const { fetchText } = require('../utils/http.utils');
+const {
+  parseMediaPlaylist,
+} = require('../../chrome-extension/shared/manifest-parser');
+const { downloadSegments } = require('./segment.service');
+
+// Reload interval when a playlist has no EXT-X-TARGETDURATION
+const DEFAULT_TARGET_DURATION = 6;
+
+// Live playlists keep growing until they get an EXT-X-ENDLIST
+const isLivePlaylist = playlist =>
+  !playlist.endList && playlist.playlistType !== 'VOD';
+
+const loadPlaylist = async (url, requestOptions) => {
+  const { text, url: finalUrl } = await fetchText(url, requestOptions);
+  return parseMediaPlaylist(text, finalUrl);
+};
+
+// Sequence number a recording starts from. RFC 8216 section 6.3.3: playback
+// should not start less than three target durations from the end of the
+// playlist, so a long DVR window is skipped rather than recorded
+const liveEdgeSequence = ({ segments, targetDuration }) => {
+  const window = 3 * (targetDuration || DEFAULT_TARGET_DURATION);
+  let index = segments.length;
+  let covered = 0;
+
+  while (index > 0 && covered < window) {
+    index -= 1;
+    covered += segments[index].duration;
+  }
+
+  return segments[index]?.sequence ?? 0;
+};
+
+// Playlists are parsed again on every reload, so EXT-X-MAP tags are
+// compared by what they point at
+const mapKey = map => (map ? JSON.stringify([map.uri, map.byteRange]) : null);
+
+// Segments past the last one recorded, up to what still fits in the
+// maximum duration. Stops short of a segment with a different EXT-X-MAP
+// than the recording so far, initChanged tells the caller.
+const takeNewSegments = (state, playlist, maxDuration) => {
+  const fresh = [];
+  let duration = state.duration;
+  let initChanged = false;
+
+  for (const segment of playlist.segments) {
+    if (segment.sequence <= state.lastSequence) continue;
+    if (duration >= maxDuration) break;
+
+    const key = mapKey(segment.map);
+    if (state.mapKey === undefined) {
+      state.mapKey = key;
+    } else if (key !== state.mapKey) {
+      initChanged = true;
+      break;
+    }
+
+    fresh.push(segment);
+    duration += segment.duration;
+  }
+
+  if (
+    fresh.length > 0 &&
+    state.segmentCount > 0 &&
+    fresh[0].sequence > state.lastSequence + 1
+  ) {
+    logger.warn('Live playlist moved on before segments were fetched', {
+      file: state.track.file,
+      missedSegments: fresh[0].sequence - state.lastSequence - 1,
+    });
+  }
+
+  return { fresh, initChanged };
+};
+
+// Sleep until the next reload, a stop request cuts the wait short
+const waitForReload = async (ms, signal) => {
+  try {
+    await sleep(ms, undefined, { signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+  }
+};
+
+// Record live media playlists. Every track ({ file, mediaPath,
+// playlistUrl, segments, targetDuration }) starts at the live edge of its
+// first load, or at its first segment with fromStart; each reload appends
+// only media sequence numbers not seen yet. Recording ends when the first
+// track's playlist gets EXT-X-ENDLIST, maxDuration seconds are recorded,
+// stopSignal fires, the playlist stops growing, a track switches to a new
+// EXT-X-MAP, or a reload fails once something was recorded. Returns what
+// was recorded per track and why it ended.
+const recordLiveTracks = async ({
+  tracks,
+  maxDuration,
+  fromStart = false,
+  requestOptions,
+  stopSignal,
+  onProgress = () => {},
+}) => {
+  const states = [];
+  for (const track of tracks) {
+    states.push({
+      track,
+      output: await fs.open(track.mediaPath, 'w'),
+      lastSequence: fromStart ? -1 : liveEdgeSequence(track) - 1,
+      mapKey: undefined,
+      duration: 0,
+      segmentCount: 0,
+      bytesDownloaded: 0,
+      initSegment: null,
+    });
+  }
+
+  const recording = states[0];
+  const wakeSignal = AbortSignal.any([stopSignal, requestOptions.signal]);
+  let playlists = tracks.map(track => ({
+    segments: track.segments,
+    targetDuration: track.targetDuration,
+    endList: false,
+  }));
+  let idleReloads = 0;
+  let initChanged = false;
+  let stopReason = null;
+
+  try {
+    while (!stopReason) {
+      let added = 0;
+
+      try {
+        for (const [index, state] of states.entries()) {
+          const taken = takeNewSegments(state, playlists[index], maxDuration);
+          if (taken.initChanged) {
+            // The recorded fragments only decode with the init segment
+            // they came with, a second one cannot go in the same file
+            logger.warn('Live playlist switched to a new init segment', {
+              file: state.track.file,
+              lastSequence: state.lastSequence,
+            });
+            initChanged = true;
+          }
+          if (taken.fresh.length === 0) continue;
+
+          const result = await downloadSegments({
+            segments: taken.fresh,
+            output: state.output,
+            requestOptions,
+            stopSignal,
+          });
+          const recorded = taken.fresh.slice(0, result.segmentsWritten);
+          if (recorded.length === 0) continue;
+
+          state.initSegment ??= result.initSegment;
+          state.lastSequence = recorded[recorded.length - 1].sequence;
+          state.duration += recorded.reduce(
+            (sum, { duration }) => sum + duration,
+            0
+          );
+          state.segmentCount += recorded.length;
+          state.bytesDownloaded += result.bytesDownloaded;
+          added += recorded.length;
+        }
+
+        onProgress({
+          segmentsDownloaded: states.reduce(
+            (sum, s) => sum + s.segmentCount,
+            0
+          ),
+          bytesDownloaded: states.reduce(
+            (sum, s) => sum + s.bytesDownloaded,
+            0
+          ),
+          recordedSeconds: Math.round(recording.duration),
+        });
+
+        idleReloads = added > 0 ? 0 : idleReloads + 1;
+
+        if (initChanged) {
+          stopReason = 'init-changed';
+        } else if (playlists[0].endList) {
+          stopReason = 'ended';
+        } else if (recording.duration >= maxDuration) {
+          stopReason = 'max-duration';
+        } else if (stopSignal.aborted) {
+          stopReason = 'stopped';
+        } else if (idleReloads >= LIVE_STALL_RELOADS) {
+          stopReason = 'stalled';
+        } else {
+          // RFC 8216 section 6.3.4: reload after the target duration, or
+          // half of it when the playlist had nothing new
+          const targetDuration =
+            playlists[0].targetDuration || DEFAULT_TARGET_DURATION;
+          await waitForReload(
+            targetDuration * (added ? 1000 : 500),
+            wakeSignal
+          );
+          requestOptions.signal.throwIfAborted();
+
+          if (stopSignal.aborted) {
+            stopReason = 'stopped';
+          } else {
+            playlists = await Promise.all(
+              states.map(state =>
+                loadPlaylist(state.track.playlistUrl, requestOptions)
+              )
+            );
+          }
+        }
+      } catch (error) {
+        // A dropped stream still leaves a usable recording
+        if (requestOptions.signal.aborted || recording.segmentCount === 0) {
+          throw error;
+        }
+        logger.warn('Live recording cut short by an error', {
+          error: error.message,
+          recordedSeconds: Math.round(recording.duration),
+        });
+        stopReason = 'error';
+      }
+    }
+  } finally {
+    await Promise.all(states.map(state => state.output.close()));
+  }
+
+  if (recording.segmentCount === 0) {
+    throw new Error('Live recording stopped before any segment was recorded');
+  }
+
+  return {
+    stopReason,
+    recordedSeconds: Math.round(recording.duration),
+    tracks: states.map(state => ({
+      segmentCount: state.segmentCount,
+      bytesDownloaded: state.bytesDownloaded,
+      initSegment: state.initSegment,
+    })),
+  };
+};
+
+module.exports = {
+  isLivePlaylist,
+  recordLiveTracks,
+};
@@ -1,13 +1,877 @@
+const fs = require('fs/promises');
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 const logger = require('../configs/logger.config');
+const { JOBS_DIR, LIVE_MAX_DURATION } = require('../configs/download.config');
+const { DOWNLOAD_STATUS } = require('../../chrome-extension/shared/constants');
+const jobStore = require('./job.service');
+const sessionStore = require('./session.service');
+const jobQueue = require('./queue.service');
+const { CookieJar } = require('../utils/cookie.utils');
+const {
+  isHlsUrl,
+  isFragmentedMp4,
+  resolveMediaPlaylist,
+  resolveAudioPlaylists,
+} = require('./hls.service');
+const { isDashUrl, resolveTracks } = require('./dash.service');
+const { isLivePlaylist, recordLiveTracks } = require('./live.service');
+const { fetchSubtitles, saveSubtitles } = require('./subtitle.service');
+const { downloadSegments } = require('./segment.service');
+const { muxTracks } = require('../utils/mux.utils');
+const { remuxTsToMp4 } = require('../utils/remux.utils');
+const { parseQualityPolicy } = require('../utils/quality.utils');
+const {
+  hasClip,
+  selectClipSegments,
+  clipTrim,
+} = require('../utils/clip.utils');
 
-const processLink = async (processId, sessionId) => {
+// The page url comes first, then whatever manifests the extension captured
+const findManifest = ({ videoUrl, m3u8Urls = [], detectedStreams = [] }) => {
+  const url = [
+    videoUrl,
+    ...m3u8Urls.map(stream => stream.url),
+    ...detectedStreams.map(stream => stream.url),
+  ].find(candidate => isHlsUrl(candidate) || isDashUrl(candidate));
+
+  if (!url) return null;
+  return { url, format: isDashUrl(url) ? 'dash' : 'hls' };
+};
+
+// Host the media is fetched from, the per-domain queue limit applies to it.
+// A blob: videoUrl has none.
+const jobDomain = source => {
+  const url = findManifest(source)?.url ?? source.videoUrl;
+  return URL.canParse(url) ? new URL(url).hostname : '';
+};
+
+// Write the init segment followed by the downloaded fragments
+const assembleFragmentedMp4 = async (initSegment, mediaPath, outputPath) => {
+  await fs.writeFile(outputPath, initSegment);
+  await pipeline(
+    createReadStream(mediaPath),
+    createWriteStream(outputPath, { flags: 'a' })
+  );
+  await fs.unlink(mediaPath);
+};
+
+// Fragmented MP4 media goes to a .part file first since the combined init
+// segment is only known at the end
+const mediaPathFor = (track, outputPath) =>
+  track.segments.some(segment => segment.map)
+    ? `${outputPath}.part`
+    : outputPath;
+
+// Download one track into outputPath. resumeFrom continues a partial
+// download: the media file is cut back to the checkpointed length and the
+// remaining segments are appended.
+const downloadTrack = async ({
+  track,
+  outputPath,
+  requestOptions,
+  onProgress,
+  resumeFrom = { segments: 0, bytes: 0 },
+}) => {
+  const mediaPath = mediaPathFor(track, outputPath);
+
+  let output;
+  if (resumeFrom.segments > 0) {
+    await fs.truncate(mediaPath, resumeFrom.bytes);
+    output = await fs.open(mediaPath, 'a');
+  } else {
+    output = await fs.open(mediaPath, 'w');
+  }
+
+  let result;
   try {
-    logger.info('starting processing video link...');
-    console.log(processId, sessionId);
+    result = await downloadSegments({
+      segments: track.segments,
+      output,
+      requestOptions,
+      onProgress,
+      startIndex: resumeFrom.segments,
+      startOffset: resumeFrom.bytes,
+    });
+  } finally {
+    await output.close();
+  }
+
+  if (result.initSegment) {
+    await assembleFragmentedMp4(result.initSegment, mediaPath, outputPath);
+  }
+
+  return result;
+};
+
+// Turn per-track progress into job progress across all tracks. Every
+// report also journals the checkpoint the job can be resumed from.
+const createProgressReporter = (processId, totalSegments) => {
+  const startedAt = Date.now();
+  const finished = { segments: 0, bytes: 0 };
+  // Work from before a resume counts towards progress but not the rate
+  const resumed = { segments: 0, bytes: 0 };
+
+  const reportTrack = ({ segmentsDownloaded, bytesDownloaded }, checkpoint) => {
+    const segments = finished.segments + segmentsDownloaded;
+    const bytes = finished.bytes + bytesDownloaded;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const remaining = totalSegments - segments;
+    // No rate to go by until a segment is downloaded after a resume
+    const fetched = segments - resumed.segments;
+
+    jobStore.update(processId, {
+      segmentsDownloaded: segments,
+      bytesDownloaded: bytes,
+      progress: Math.floor((segments / totalSegments) * 100),
+      bytesPerSecond:
+        elapsed > 0 ? Math.round((bytes - resumed.bytes) / elapsed) : null,
+      etaSeconds:
+        fetched > 0 ? Math.round((elapsed / fetched) * remaining) : null,
+      checkpoint,
+    });
+  };
+
+  const trackFinished = (segmentCount, bytesDownloaded) => {
+    finished.segments += segmentCount;
+    finished.bytes += bytesDownloaded;
+  };
+
+  const trackResumed = (segmentCount, bytesDownloaded) => {
+    resumed.segments += segmentCount;
+    resumed.bytes += bytesDownloaded;
+  };
+
+  return { reportTrack, trackFinished, trackResumed };
+};
+
+// Segments of a media playlist, and what live recording needs to reload it
+const playlistTrack = playlist => ({
+  segments: playlist.segments,
+  playlistUrl: playlist.url,
+  targetDuration: playlist.targetDuration,
+});
+
+// Audio track files are numbered from the second language on
+const audioFile = (index, extension) =>
+  index === 0 ? `audio.${extension}` : `audio-${index + 1}.${extension}`;
+
+// One audio track per rendition playlist, in preference order
+const hlsAudioTracks = audio =>
+  audio.map(({ playlist, rendition }, index) => ({
+    type: 'audio',
+    file: audioFile(index, isFragmentedMp4(playlist) ? 'm4a' : 'ts'),
+    ...playlistTrack(playlist),
+    language: rendition?.language ?? null,
+  }));
+
+// HLS yields the chosen variant's media playlist, plus its audio renditions
+// when the variant references separate ones. Audio-only jobs get audio
+// tracks alone. Live playlists are recorded rather than downloaded.
+// Subtitle renditions come along for every kind of job.
+const resolveHlsTracks = async (
+  url,
+  requestOptions,
+  qualityPolicy,
+  { audioOnly, audioPreference }
+) => {
+  if (audioOnly) {
+    const { audio, subtitles } = await resolveAudioPlaylists(
+      url,
+      requestOptions,
+      audioPreference
+    );
+    return {
+      qualitySelection: null,
+      live: isLivePlaylist(audio[0].playlist),
+      subtitles,
+      tracks: hlsAudioTracks(audio),
+    };
+  }
+
+  const { playlist, qualitySelection, audio, subtitles } =
+    await resolveMediaPlaylist(
+      url,
+      requestOptions,
+      qualityPolicy,
+      audioPreference
+    );
+  const extension = isFragmentedMp4(playlist) ? 'mp4' : 'ts';
+  const live = isLivePlaylist(playlist);
+
+  if (audio.length === 0) {
+    return {
+      qualitySelection,
+      live,
+      subtitles,
+      tracks: [
+        {
+          type: 'video',
+          file: `output.${extension}`,
+          ...playlistTrack(playlist),
+        },
+      ],
+    };
+  }
+
+  return {
+    qualitySelection,
+    live,
+    subtitles,
+    tracks: [
+      {
+        type: 'video',
+        file: `video.${extension}`,
+        ...playlistTrack(playlist),
+      },
+      ...hlsAudioTracks(audio),
+    ],
+  };
+};
+
+// DASH delivers video and audio as separate representations, each one is
+// downloaded into its own file
+const resolveDashTracks = async (
+  url,
+  requestOptions,
+  qualityPolicy,
+  { audioOnly, audioPreference }
+) => {
+  const { tracks, qualitySelection, subtitles } = await resolveTracks(
+    url,
+    requestOptions,
+    qualityPolicy,
+    { audioOnly, audioPreference }
+  );
+  const audioTracks = tracks.filter(track => track.type === 'audio');
+
+  return {
+    qualitySelection,
+    subtitles,
+    tracks: tracks.map(track => ({
+      ...track,
+      file:
+        track.type === 'audio'
+          ? audioFile(audioTracks.indexOf(track), 'm4a')
+          : 'video.mp4',
+    })),
+  };
+};
+
+// Subtitle tracks from the page first, then the ones the manifest lists.
+// The same url is fetched once.
+const subtitleSources = (pageSubtitles = [], manifestSubtitles = []) => {
+  const seen = new Set();
+  return [
+    ...pageSubtitles.map(subtitle => ({ ...subtitle, source: 'page' })),
+    ...manifestSubtitles,
+  ].filter(subtitle => {
+    if (!subtitle.url) return true;
+    if (seen.has(subtitle.url)) return false;
+    seen.add(subtitle.url);
+    return true;
+  });
+};
+
+const describeTrack = track => {
+  const representation = track.representations?.[0];
+
+  return {
+    type: track.type,
+    file: track.file,
+    segmentCount: track.segmentCount ?? track.segments.length,
+    representationId: representation?.id ?? null,
+    bandwidth: representation?.bandwidth ?? null,
+    codecs: representation?.codecs ?? null,
+    quality: representation?.quality ?? null,
+    language: track.language ?? null,
+  };
+};
+
+// Track files are turned into one MP4, or an M4A for audio-only jobs:
+// fragmented MP4 tracks are muxed, MPEG-TS is remuxed since players seek it
+// poorly. Both store the title as metadata. When that is not possible the
+// video track is served as downloaded. Returns the path of the file users
+// download, and where a clip trim made it start.
+const combineTracks = async (tracks, jobDir, { trim, audioOnly, title }) => {
+  const video = tracks.find(track => track.type === 'video') || tracks[0];
+  const fallback = { outputPath: video.path, muxed: false, trimmedStart: null };
+  let trimmedStart = null;
+  const outputPath = path.join(jobDir, audioOnly ? 'output.m4a' : 'output.mp4');
+
+  if (tracks.every(track => track.fragmented)) {
+    // An audio track may come out of a muxed file, it is always copied
+    if (tracks.length === 1 && !audioOnly) return fallback;
+    await muxTracks(tracks, outputPath, { title });
+  } else if (tracks.every(track => !track.fragmented)) {
+    try {
+      ({ trimmedStart } = await remuxTsToMp4(tracks, outputPath, {
+        trim,
+        audioOnly,
+        title,
+      }));
+    } catch (error) {
+      logger.warn('Could not remux MPEG-TS to MP4, keeping the download', {
+        error: error.message,
+      });
+      await fs.rm(outputPath, { force: true });
+      return fallback;
+    }
+  } else {
+    logger.warn(
+      'Tracks mix fragmented MP4 and MPEG-TS, keeping them separate',
+      {
+        tracks: tracks.map(track => track.file),
+      }
+    );
+    return fallback;
+  }
+
+  await Promise.all(tracks.map(track => fs.unlink(track.path)));
+  return { outputPath, muxed: true, trimmedStart };
+};
+
+const FRESH_START = { track: 0, segments: 0, bytes: 0 };
+
+// Where a job picks up: its checkpoint, as long as the manifest still
+// yields the same tracks and the files written so far are on disk
+const resumePoint = async (job, tracks, jobDir) => {
+  const { checkpoint, tracks: previousTracks } = job;
+  if (!checkpoint) return FRESH_START;
+
+  const sameTracks =
+    previousTracks?.length === tracks.length &&
+    tracks.every(
+      (track, index) =>
+        previousTracks[index].file === track.file &&
+        previousTracks[index].segmentCount === track.segments.length
+    );
+  if (!sameTracks) {
+    logger.warn('Tracks changed since the checkpoint, starting over', {
+      processId: job.id,
+    });
+    return FRESH_START;
+  }
+
+  try {
+    for (const track of tracks.slice(0, checkpoint.track)) {
+      await fs.access(path.join(jobDir, track.file));
+    }
+
+    const current = tracks[checkpoint.track];
+    if (current && checkpoint.segments > 0) {
+      const mediaPath = mediaPathFor(current, path.join(jobDir, current.file));
+      const { size } = await fs.stat(mediaPath);
+      if (size < checkpoint.bytes) throw new Error('Partial file is short');
+    }
   } catch (error) {
-    logger.error('Error processing link', error);
-    console.log('error', error);
+    logger.warn('Checkpoint files are missing, starting over', {
+      processId: job.id,
+      error: error.message,
+    });
+    return FRESH_START;
+  }
+
+  return checkpoint;
+};
+
+// Abort reason for jobs stopped by a shutdown. Unlike a cancel their files
+// are kept and they continue from the checkpoint later.
+const PAUSE_CODE = 'JOB_PAUSED';
+
+const isPaused = signal => signal.aborted && signal.reason?.code === PAUSE_CODE;
+
+// Download VOD tracks one after another, picking up from the job's
+// checkpoint. Returns the bytes fetched.
+const downloadTracks = async (processId, job, tracks, requestOptions) => {
+  const jobDir = path.join(JOBS_DIR, processId);
+
+  const start = await resumePoint(job, tracks, jobDir);
+  if (start !== FRESH_START) {
+    logger.info('Resuming video processing from checkpoint', {
+      processId,
+      ...start,
+    });
+  }
+
+  const totalSegments = tracks.reduce(
+    (total, track) => total + track.segments.length,
+    0
+  );
+  jobStore.update(processId, {
+    status: DOWNLOAD_STATUS.DOWNLOADING,
+    totalSegments,
+    tracks: tracks.map(describeTrack),
+    checkpoint: start,
+  });
+
+  const progress = createProgressReporter(processId, totalSegments);
+  let bytesDownloaded = 0;
+
+  for (const [index, track] of tracks.entries()) {
+    // Finished before the job was interrupted
+    if (index < start.track) {
+      const { size } = await fs.stat(track.path);
+      progress.trackFinished(track.segments.length, size);
+      progress.trackResumed(track.segments.length, size);
+      bytesDownloaded += size;
+      continue;
+    }
+
+    const resumeFrom =
+      index === start.track
+        ? { segments: start.segments, bytes: start.bytes }
+        : undefined;
+    if (resumeFrom) {
+      progress.trackResumed(resumeFrom.segments, resumeFrom.bytes);
+    }
+
+    const result = await downloadTrack({
+      track,
+      outputPath: track.path,
+      requestOptions,
+      resumeFrom,
+      onProgress: update =>
+        progress.reportTrack(update, {
+          track: index,
+          segments: update.segmentsDownloaded,
+          bytes: update.bytesWritten,
+        }),
+    });
+
+    progress.trackFinished(track.segments.length, result.bytesDownloaded);
+    bytesDownloaded += result.bytesDownloaded;
+    jobStore.update(processId, {
+      checkpoint: { track: index + 1, segments: 0, bytes: 0 },
+    });
   }
+
+  return bytesDownloaded;
 };
 
-module.exports = processLink;
+// Record live tracks until the stream ends, the job's maximum duration is
+// reached or stopSignal fires. Returns the bytes fetched.
+const recordTracks = async (
+  processId,
+  job,
+  tracks,
+  requestOptions,
+  stopSignal
+) => {
+  const maxDuration = job.options?.maxDuration ?? LIVE_MAX_DURATION;
+  const startedAt = Date.now();
+
+  jobStore.update(processId, {
+    status: DOWNLOAD_STATUS.RECORDING,
+    live: true,
+    maxDuration,
+    recordedSeconds: 0,
+    tracks: tracks.map(describeTrack),
+  });
+  logger.info('Recording live stream', { processId, maxDuration });
+
+  for (const track of tracks) {
+    track.mediaPath = mediaPathFor(track, track.path);
+  }
+
+  const recording = await recordLiveTracks({
+    tracks,
+    maxDuration,
+    fromStart: job.options?.liveFromStart ?? false,
+    requestOptions,
+    stopSignal,
+    onProgress: ({ segmentsDownloaded, bytesDownloaded, recordedSeconds }) => {
+      const elapsed = (Date.now() - startedAt) / 1000;
+
+      jobStore.update(processId, {
+        segmentsDownloaded,
+        bytesDownloaded,
+        recordedSeconds,
+        progress: Math.min(
+          99,
+          Math.floor((recordedSeconds / maxDuration) * 100)
+        ),
+        bytesPerSecond:
+          elapsed > 0 ? Math.round(bytesDownloaded / elapsed) : null,
+      });
+    },
+  });
+
+  for (const [index, track] of tracks.entries()) {
+    const { initSegment, segmentCount } = recording.tracks[index];
+    track.fragmented = initSegment !== null;
+    if (initSegment) {
+      await assembleFragmentedMp4(initSegment, track.mediaPath, track.path);
+    }
+    // Live playlists only list a window, count what was recorded
+    track.segmentCount = segmentCount;
+  }
+
+  jobStore.update(processId, {
+    totalSegments: recording.tracks.reduce(
+      (total, track) => total + track.segmentCount,
+      0
+    ),
+    recordedSeconds: recording.recordedSeconds,
+    stopReason: recording.stopReason,
+  });
+  logger.info('Live recording finished', {
+    processId,
+    stopReason: recording.stopReason,
+    recordedSeconds: recording.recordedSeconds,
+  });
+
+  return recording.tracks.reduce(
+    (total, track) => total + track.bytesDownloaded,
+    0
+  );
+};
+
+// Jobs being worked on, by process id: the controller that aborts their
+// requests, the one that ends a live recording early and the promise that
+// settles once the job has stopped
+const activeJobs = new Map();
+
+// Queue a job, it stays pending until the queue gives it a slot. Cookies
+// are handed in at runtime rather than read from the job record so that
+// they never end up in the on-disk journal.
+const processLink = (processId, options = {}) => {
+  const job = jobStore.get(processId);
+
+  jobQueue.enqueue({
+    id: processId,
+    domain: jobDomain(job.source),
+    priority: job.options?.priority,
+    run: () => startJob(processId, options),
+  });
+};
+
+const startJob = (processId, options) => {
+  const controller = new AbortController();
+  const stopController = new AbortController();
+  const done = runJob(
+    processId,
+    { signal: controller.signal, stopSignal: stopController.signal },
+    options
+  ).finally(() => activeJobs.delete(processId));
+
+  activeJobs.set(processId, { controller, stopController, done });
+  return done;
+};
+
+const runJob = async (
+  processId,
+  { signal, stopSignal },
+  { cookies = [] } = {}
+) => {
+  const job = jobStore.get(processId);
+  const requestOptions = { cookieJar: new CookieJar(cookies), signal };
+  const jobDir = path.join(JOBS_DIR, processId);
+
+  try {
+    logger.info('starting processing video link...', {
+      processId,
+      installId: job.installId,
+      resuming: !!job.checkpoint,
+    });
+
+    jobStore.update(processId, {
+      status: DOWNLOAD_STATUS.ANALYZING,
+      startedAt: job.startedAt ?? new Date().toISOString(),
+      error: null,
+    });
+
+    const manifest = findManifest(job.source);
+    if (!manifest) {
+      throw new Error('No HLS playlist or DASH manifest found for this video');
+    }
+
+    const qualityPolicy = parseQualityPolicy(job.options?.qualityPolicy);
+    const audioOnly = !!job.options?.audioOnly;
+    const audioPreference = {
+      languages: job.options?.audioLanguages ?? [],
+      multiple: !!job.options?.multipleAudio,
+    };
+    const resolveFormatTracks =
+      manifest.format === 'dash' ? resolveDashTracks : resolveHlsTracks;
+    const { tracks, qualitySelection, live, subtitles } =
+      await resolveFormatTracks(manifest.url, requestOptions, qualityPolicy, {
+        audioOnly,
+        audioPreference,
+      });
+
+    signal.throwIfAborted();
+    await fs.mkdir(jobDir, { recursive: true });
+
+    // A clip only needs the segments overlapping its range, and the TS
+    // remux trims from the first of them
+    const clip = job.options?.clip;
+    let trim;
+    if (hasClip(clip) && live) {
+      logger.warn('Clip range ignored for a live stream', { processId });
+    } else if (hasClip(clip)) {
+      for (const track of tracks) {
+        track.segments = selectClipSegments(track.segments, clip);
+      }
+      trim = clipTrim(tracks[0].segments[0], clip);
+    }
+
+    jobStore.update(processId, { format: manifest.format, qualitySelection });
+    for (const track of tracks) {
+      track.path = path.join(jobDir, track.file);
+      track.fragmented = track.segments.some(segment => segment.map);
+    }
+
+    const bytesDownloaded = live
+      ? await recordTracks(processId, job, tracks, requestOptions, stopSignal)
+      : await downloadTracks(processId, job, tracks, requestOptions);
+
+    signal.throwIfAborted();
+    jobStore.update(processId, { status: DOWNLOAD_STATUS.PROCESSING });
+
+    // Subtitles are fetched while the track files still allow a resume,
+    // and cut to a clip once the combined file says where it starts
+    const fetchedSubtitles = live
+      ? []
+      : await fetchSubtitles(
+          subtitleSources(job.source.subtitles, subtitles),
+          requestOptions
+        );
+    signal.throwIfAborted();
+
+    const { outputPath, muxed, trimmedStart } = await combineTracks(
+      tracks,
+      jobDir,
+      { trim, audioOnly, title: job.title }
+    );
+    // Muxing cannot be interrupted, a cancel during it lands here. A pause
+    // lets it finish since the track files are gone afterwards.
+    if (!isPaused(signal)) signal.throwIfAborted();
+    const { size } = await fs.stat(outputPath);
+
+    // Where in the stream the clip ended up starting
+    const clipStart = trim
+      ? tracks[0].segments[0].start + (trimmedStart ?? 0)
+      : null;
+    const savedSubtitles = await saveSubtitles(
+      fetchedSubtitles,
+      jobDir,
+      trim ? { start: clipStart, end: clip.endTime } : null
+    );
+
+    jobStore.update(processId, {
+      status: DOWNLOAD_STATUS.COMPLETED,
+      progress: 100,
+      etaSeconds: 0,
+      outputPath,
+      totalBytes: size,
+      checkpoint: null,
+      ...(trim && { clipStart }),
+      subtitles: savedSubtitles,
+      tracks: tracks.map(track =>
+        muxed
+          ? describeTrack(track)
+          : { ...describeTrack(track), path: track.path }
+      ),
+    });
+
+    logger.info('Video processing completed', {
+      processId,
+      format: manifest.format,
+      outputPath,
+      trackCount: tracks.length,
+      muxed,
+      segmentCount: jobStore.get(processId).totalSegments,
+      bytesDownloaded,
+    });
+  } catch (error) {
+    if (isPaused(signal)) {
+      jobStore.update(processId, { status: DOWNLOAD_STATUS.PENDING });
+      logger.info('Video processing paused', {
+        processId,
+        checkpoint: jobStore.get(processId).checkpoint ?? null,
+      });
+      return;
+    }
+
+    if (signal.aborted) {
+      await fs.rm(jobDir, { recursive: true, force: true });
+      jobStore.update(processId, {
+        status: DOWNLOAD_STATUS.CANCELLED,
+        checkpoint: null,
+      });
+      logger.info('Video processing cancelled', { processId });
+      return;
+    }
+
+    // The checkpoint stays, a failed job can be resumed
+    logger.error('Error processing link', { processId, error: error.message });
+    jobStore.update(processId, {
+      status: DOWNLOAD_STATUS.FAILED,
+      error: {
+        message: error.message,
+        code: error.code || null,
+        status: error.response?.status || null,
+        // Blocked urls and size caps say which request was refused
+        ...(error.details && { details: error.details }),
+      },
+    });
+  }
+};
+
+// Drop a waiting job, or abort a running one and wait until its partial
+// files are gone. An unfinished job that is neither, such as one restored
+// on start and not requeued yet, is marked cancelled. Returns false when
+// the job is unknown or already finished.
+const cancelProcess = async processId => {
+  if (jobQueue.remove(processId)) {
+    jobStore.update(processId, { status: DOWNLOAD_STATUS.CANCELLED });
+    logger.info('Queued video processing cancelled', { processId });
+    return true;
+  }
+
+  const active = activeJobs.get(processId);
+  if (!active) {
+    const job = jobStore.get(processId);
+    if (!job || jobStore.isFinished(job)) return false;
+
+    jobStore.update(processId, { status: DOWNLOAD_STATUS.CANCELLED });
+    logger.info('Idle video processing cancelled', { processId });
+    return true;
+  }
+
+  active.controller.abort();
+  await active.done;
+  return true;
+};
+
+// End a live recording early, it finishes with what was recorded. Returns
+// false when the job is not running.
+const stopRecording = async processId => {
+  const active = activeJobs.get(processId);
+  if (!active) return false;
+
+  active.stopController.abort();
+  await active.done;
+  return true;
+};
+
+// Remove a finished job's files and its record
+const purgeProcess = async processId => {
+  await fs.rm(path.join(JOBS_DIR, processId), { recursive: true, force: true });
+  jobStore.remove(processId);
+};
+
+// Jobs expire with the session that created them. Waiting and running
+// ones are cancelled first, which drops the cookies they hold.
+const purgeSessionJobs = async sessionId => {
+  const jobs = jobStore.findBySession(sessionId);
+
+  for (const job of jobs) {
+    await cancelProcess(job.id);
+    await purgeProcess(job.id);
+  }
+
+  if (jobs.length > 0) {
+    logger.info('Jobs of an ended session removed', { jobCount: jobs.length });
+  }
+};
+
+sessionStore.on('removed', session => {
+  purgeSessionJobs(session.id).catch(error => {
+    logger.error('Error removing the jobs of an ended session', error);
+  });
+});
+
+// Remove the jobs of sessions that expired while the server was down
+const purgeExpiredSessionJobs = async () => {
+  const sessionIds = new Set(
+    jobStore
+      .list()
+      .map(job => job.sessionId)
+      .filter(sessionId => sessionId && !sessionStore.isActive(sessionId))
+  );
+
+  for (const sessionId of sessionIds) {
+    await purgeSessionJobs(sessionId);
+  }
+};
+
+// Queue a failed job again, it continues from its checkpoint when it has
+// one. Cookies are not journaled, so they are handed in again.
+const resumeProcess = (processId, options) => {
+  jobStore.update(processId, { status: DOWNLOAD_STATUS.PENDING, error: null });
+  logger.info('Video processing resumed', { processId });
+  processLink(processId, options);
+};
+
+// Queue the jobs the job store found unfinished on load. Their cookies
+// were lost with the previous process, sites that need them will fail and
+// can be resumed by hand.
+const resumeInterruptedJobs = () => {
+  const interrupted = jobStore.takeInterrupted();
+  let resumedCount = 0;
+
+  for (const processId of interrupted) {
+    const job = jobStore.get(processId);
+    // Removed with its session, or cancelled before it was requeued
+    if (!job || jobStore.isFinished(job)) continue;
+
+    // A live stream has moved on, the recording cannot be continued
+    if (job.live) {
+      jobStore.update(processId, {
+        status: DOWNLOAD_STATUS.FAILED,
+        error: {
+          message: 'Live recording was interrupted by a server restart',
+        },
+      });
+      continue;
+    }
+
+    processLink(processId);
+    resumedCount++;
+  }
+
+  if (resumedCount > 0) {
+    logger.info('Resuming interrupted video processing', {
+      jobCount: resumedCount,
+    });
+  }
+};
+
+// Shutdown: stop starting queued jobs and pause running ones at their last
+// checkpoint. Both are resumed by resumeInterruptedJobs on the next start.
+// Live recordings are stopped instead and finish with what they have.
+const pauseAllJobs = async () => {
+  jobQueue.close();
+
+  const stopping = Array.from(activeJobs.entries()).map(
+    ([processId, { controller, stopController, done }]) => {
+      if (jobStore.get(processId).live) {
+        stopController.abort();
+      } else {
+        const reason = new Error('Paused for server shutdown');
+        reason.code = PAUSE_CODE;
+        controller.abort(reason);
+      }
+      return done;
+    }
+  );
+
+  await Promise.all(stopping);
+  return stopping.length;
+};
+
+module.exports = {
+  processLink,
+  cancelProcess,
+  purgeProcess,
+  resumeProcess,
+  stopRecording,
+  resumeInterruptedJobs,
+  purgeExpiredSessionJobs,
+  pauseAllJobs,
+  isQueueFull: () => jobQueue.isFull(),
+  getQueuePosition: processId => jobQueue.position(processId),
+};
@@ -0,0 +1,116 @@
+const logger = require('../configs/logger.config');
+const {
+  MAX_CONCURRENT_JOBS,
+  MAX_JOBS_PER_DOMAIN,
+  MAX_QUEUED_JOBS,
+} = require('../configs/download.config');
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// In-memory job queue. Waiting entries are ordered by priority, then by
+// arrival. A job starts once a global slot and a slot for its domain are
+// free; a job held back by its domain does not block others behind it.
+class JobQueue {
+  constructor({ concurrency, perDomain, capacity }) {
+    this.concurrency = concurrency;
+    this.perDomain = perDomain;
+    this.capacity = capacity;
+    this.waiting = [];
+    this.running = new Map();
+    this.sequence = 0;
+    this.closed = false;
+  }
+
+  isFull() {
+    return this.waiting.length >= this.capacity;
+  }
+
+  // run is called with no arguments once the job gets a slot and must
+  // return a promise that settles when the job is done
+  enqueue({ id, domain, priority = 'normal', run }) {
+    this.waiting.push({
+      id,
+      domain,
+      rank: PRIORITIES[priority] ?? PRIORITIES.normal,
+      sequence: this.sequence++,
+      run,
+    });
+    this.waiting.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+
+    this.schedule();
+  }
+
+  // Take a job out before it starts. Returns false when it is not waiting.
+  remove(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  // 1-based place among waiting jobs, null once started or unknown
+  position(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  runningForDomain(domain) {
+    let count = 0;
+    for (const runningDomain of this.running.values()) {
+      if (runningDomain === domain) count++;
+    }
+    return count;
+  }
+
+  // Start no further jobs, the ones waiting stay queued
+  close() {
+    this.closed = true;
+  }
+
+  schedule() {
+    if (this.closed) return;
+
+    for (let index = 0; index < this.waiting.length; ) {
+      if (this.running.size >= this.concurrency) return;
+
+      const entry = this.waiting[index];
+      if (this.runningForDomain(entry.domain) >= this.perDomain) {
+        index++;
+        continue;
+      }
+
+      this.waiting.splice(index, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    this.running.set(entry.id, entry.domain);
+    logger.info('Job started from queue', {
+      processId: entry.id,
+      domain: entry.domain,
+      running: this.running.size,
+      waiting: this.waiting.length,
+    });
+
+    Promise.resolve()
+      .then(entry.run)
+      .catch(error => {
+        logger.error('Queued job crashed', {
+          processId: entry.id,
+          error: error.message,
+        });
+      })
+      .finally(() => {
+        this.running.delete(entry.id);
+        this.schedule();
+      });
+  }
+}
+
+module.exports = new JobQueue({
+  concurrency: MAX_CONCURRENT_JOBS,
+  perDomain: MAX_JOBS_PER_DOMAIN,
+  capacity: MAX_QUEUED_JOBS,
+});
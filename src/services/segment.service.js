@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { fetchBuffer } = require('../utils/http.utils');
+const { normalizeFragment, InitSegmentMerger } = require('../utils/fmp4.utils');
+
+// Refuse HLS streams we could only turn into garbage: SAMPLE-AES encrypts
+// inside the elementary stream and non-identity key formats are DRM systems
+// such as FairPlay or Widevine
+const assertDecryptable = segments => {
+  for (const { key } of segments) {
+    if (!key) continue;
+
+    if (key.method === 'AES-128' && key.keyFormat === 'identity') {
+      if (!key.uri) {
+        throw new Error('AES-128 encrypted playlist is missing its key URI');
+      }
+      continue;
+    }
+
+    const error = new Error(
+      `Stream is DRM-protected (${key.method}, ${key.keyFormat}) and cannot be downloaded`
+    );
+    error.code = 'DRM_PROTECTED';
+    throw error;
+  }
+};
+
+// Keys are shared by many segments, fetch each uri only once per job
+const getKey = async (uri, keyCache, requestOptions) => {
+  if (!keyCache.has(uri)) {
+    keyCache.set(
+      uri,
+      fetchBuffer(uri, requestOptions).then(key => {
+        if (key.length !== 16) {
+          throw new Error(`Invalid AES-128 key length ${key.length} (${uri})`);
+        }
+        return key;
+      })
+    );
+  }
+
+  try {
+    return await keyCache.get(uri);
+  } catch (error) {
+    keyCache.delete(uri);
+    throw error;
+  }
+};
+
+// Without an explicit IV, the media sequence number is used as a 128-bit
+// big-endian integer (RFC 8216 section 5.2)
+const sequenceIv = sequence => {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+};
+
+const decrypt = async (data, keyInfo, sequence, keyCache, requestOptions) => {
+  const key = await getKey(keyInfo.uri, keyCache, requestOptions);
+  const iv = keyInfo.iv ? Buffer.from(keyInfo.iv, 'hex') : sequenceIv(sequence);
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const fetchInitSegment = async (map, keyCache, requestOptions) => {
+  let data = await fetchBuffer(map.uri, {
+    ...requestOptions,
+    byteRange: map.byteRange,
+  });
+
+  if (map.key) {
+    if (!map.key.iv) {
+      throw new Error('Encrypted EXT-X-MAP requires an explicit IV');
+    }
+    data = await decrypt(data, map.key, 0, keyCache, requestOptions);
+  }
+
+  return data;
+};
+
+// Download media segments, in order, into an open file. Segments are HLS
+// playlist entries or DASH segments shaped like them ({ uri, byteRange,
+// sequence, key, map }). For fragmented MP4 the combined init segment is
+// returned rather than written, the caller puts it in front of the media.
+// A resumed download skips the first startIndex segments, already written
+// as startOffset bytes, but still fetches their init segments. Once
+// stopSignal fires no further segment is started.
+const downloadSegments = async ({
+  segments,
+  output,
+  requestOptions = {},
+  onProgress = () => {},
+  startIndex = 0,
+  startOffset = 0,
+  stopSignal,
+}) => {
+  if (segments.length === 0) {
+    throw new Error('Stream contains no media segments');
+  }
+
+  assertDecryptable(segments);
+
+  const keyCache = new Map();
+  const initSegments = new InitSegmentMerger();
+  let currentMap = null;
+  let trackMapping = null;
+  let bytesDownloaded = startOffset;
+  let bytesWritten = startOffset;
+  let segmentsWritten = 0;
+
+  for (const [index, segment] of segments.entries()) {
+    if (stopSignal?.aborted) break;
+
+    if (segment.map && segment.map !== currentMap) {
+      const init = await fetchInitSegment(
+        segment.map,
+        keyCache,
+        requestOptions
+      );
+      trackMapping = initSegments.add(init);
+      currentMap = segment.map;
+      bytesDownloaded += init.length;
+    }
+
+    if (index < startIndex) continue;
+
+    let data = await fetchBuffer(segment.uri, {
+      ...requestOptions,
+      byteRange: segment.byteRange,
+    });
+    if (segment.key) {
+      data = await decrypt(
+        data,
+        segment.key,
+        segment.sequence,
+        keyCache,
+        requestOptions
+      );
+    }
+
+    if (segment.map) {
+      data = normalizeFragment(
+        data,
+        trackMapping,
+        segment.byteRange?.offset ?? 0
+      );
+    }
+
+    await output.write(data);
+    bytesDownloaded += data.length;
+    bytesWritten += data.length;
+    segmentsWritten += 1;
+
+    onProgress({
+      segmentsDownloaded: index + 1,
+      totalSegments: segments.length,
+      bytesDownloaded,
+      bytesWritten,
+    });
+  }
+
+  return {
+    bytesDownloaded,
+    segmentsWritten,
+    initSegment: initSegments.hasInit ? initSegments.build() : null,
+  };
+};
+
+module.exports = {
+  downloadSegments,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../configs/logger.config');
+const { DATA_DIR } = require('../configs/download.config');
+const { SESSION_TTL, SWEEP_INTERVAL } = require('../configs/session.config');
+
+// Extension sessions, journaled to disk the same way as jobs so they survive
+// restarts. Each install holds at most one session: a new handshake ends
+// the previous one. Emits 'removed' with the session when it is ended or
+// swept after expiring.
+class SessionStore extends EventEmitter {
+  constructor() {
+    super();
+    this.journalPath = path.join(DATA_DIR, 'sessions.jsonl');
+    this.sessions = new Map();
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    this.load();
+
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweeper.unref();
+  }
+
+  load() {
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (entry.deleted) {
+            this.sessions.delete(entry.id);
+          } else {
+            this.sessions.set(entry.id, {
+              ...this.sessions.get(entry.id),
+              ...entry,
+            });
+          }
+        } catch {
+          logger.warn('Skipping unreadable session journal entry');
+        }
+      }
+    }
+
+    for (const session of this.sessions.values()) {
+      if (this.isExpired(session)) {
+        this.sessions.delete(session.id);
+      }
+    }
+
+    this.compact();
+    logger.info('Session store loaded', { sessionCount: this.sessions.size });
+  }
+
+  compact() {
+    const tempPath = `${this.journalPath}.tmp`;
+    const content = Array.from(this.sessions.values())
+      .map(session => JSON.stringify(session) + '\n')
+      .join('');
+
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.journalPath);
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+  }
+
+  create({ installId, extensionVersion }) {
+    for (const session of this.sessions.values()) {
+      if (session.installId === installId) {
+        this.remove(session);
+      }
+    }
+
+    const now = Date.now();
+    const session = {
+      // The id is the credential, so it comes from the CSPRNG
+      id: crypto.randomBytes(32).toString('base64url'),
+      installId,
+      extensionVersion: extensionVersion ?? null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL).toISOString(),
+    };
+
+    this.sessions.set(session.id, session);
+    this.append(session);
+
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  isExpired(session) {
+    return Date.parse(session.expiresAt) <= Date.now();
+  }
+
+  // Whether the session exists and has not expired yet
+  isActive(id) {
+    const session = this.get(id);
+    return session !== null && !this.isExpired(session);
+  }
+
+  remove(session) {
+    this.sessions.delete(session.id);
+    this.append({ id: session.id, deleted: true });
+    this.emit('removed', session);
+  }
+
+  sweep() {
+    const expired = Array.from(this.sessions.values()).filter(session =>
+      this.isExpired(session)
+    );
+
+    for (const session of expired) {
+      this.remove(session);
+    }
+
+    if (expired.length > 0) {
+      logger.info('Expired sessions removed', { count: expired.length });
+      this.compact();
+    }
+  }
+}
+
+module.exports = new SessionStore();
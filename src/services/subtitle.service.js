@@ -0,0 +1,119 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../configs/logger.config');
+const { MAX_TEXT_SIZE } = require('../configs/download.config');
+const { fetchText, fetchBuffer } = require('../utils/http.utils');
+const {
+  parseMediaPlaylist,
+} = require('../../chrome-extension/shared/manifest-parser');
+const {
+  stitchWebVtt,
+  clipCues,
+  serializeWebVtt,
+} = require('../utils/subtitle.utils');
+
+// Subtitle files live next to the job's output
+const SUBTITLES_DIR = 'subtitles';
+
+const fetchParts = async (segments, requestOptions) => {
+  const parts = [];
+  for (const { uri, byteRange = null, offset = 0 } of segments) {
+    const data = await fetchBuffer(uri, {
+      ...requestOptions,
+      byteRange,
+      maxSize: MAX_TEXT_SIZE,
+    });
+    parts.push({ text: data.toString('utf8'), offset });
+  }
+  return parts;
+};
+
+// The WebVTT parts of a subtitle. DASH lists its segments, a url is either
+// a single file or an HLS subtitle playlist.
+const loadParts = async (subtitle, requestOptions) => {
+  if (subtitle.segments) {
+    return fetchParts(subtitle.segments, requestOptions);
+  }
+
+  const { text, url } = await fetchText(subtitle.url, requestOptions);
+  if (!text.trimStart().startsWith('#EXTM3U')) {
+    return [{ text }];
+  }
+
+  const playlist = parseMediaPlaylist(text, url);
+  return fetchParts(playlist.segments, requestOptions);
+};
+
+// Download and stitch every subtitle. One that fails is logged and left
+// out, subtitles never fail the job. Returns the subtitles with their cues.
+const fetchSubtitles = async (subtitles, requestOptions) => {
+  const fetched = [];
+
+  for (const subtitle of subtitles) {
+    try {
+      const parts = await loadParts(subtitle, requestOptions);
+      fetched.push({ ...subtitle, cues: stitchWebVtt(parts) });
+    } catch (error) {
+      requestOptions.signal?.throwIfAborted();
+      logger.warn('Could not download subtitles', {
+        url: subtitle.url ?? null,
+        language: subtitle.language ?? null,
+        error: error.message,
+      });
+    }
+  }
+
+  return fetched;
+};
+
+// Files are named after the language, numbered when a language repeats
+const subtitleName = (subtitle, taken) => {
+  const base =
+    (subtitle.language || '').replace(/[^A-Za-z0-9-]/g, '').slice(0, 35) ||
+    'und';
+
+  let name = base;
+  for (let number = 2; taken.has(name); number++) {
+    name = `${base}-${number}`;
+  }
+  taken.add(name);
+  return name;
+};
+
+// Write fetched subtitles as <jobDir>/subtitles/<name>.vtt. clip ({ start,
+// end } in stream seconds) cuts the cues down to a clipped download.
+// Returns the descriptions kept on the job.
+const saveSubtitles = async (fetched, jobDir, clip = null) => {
+  if (fetched.length === 0) return [];
+  await fs.mkdir(path.join(jobDir, SUBTITLES_DIR), { recursive: true });
+
+  const taken = new Set();
+  const saved = [];
+  for (const subtitle of fetched) {
+    const cues = clip ? clipCues(subtitle.cues, clip) : subtitle.cues;
+    const name = subtitleName(subtitle, taken);
+    const file = path.join(SUBTITLES_DIR, `${name}.vtt`);
+
+    await fs.writeFile(path.join(jobDir, file), serializeWebVtt(cues));
+    saved.push({
+      name,
+      file,
+      language: subtitle.language ?? null,
+      label: subtitle.label ?? null,
+      kind: subtitle.kind ?? 'subtitles',
+      source: subtitle.source,
+      cueCount: cues.length,
+    });
+  }
+
+  logger.info('Subtitles saved', {
+    jobDir,
+    subtitles: saved.map(({ name, cueCount }) => ({ name, cueCount })),
+  });
+  return saved;
+};
+
+module.exports = {
+  fetchSubtitles,
+  saveSubtitles,
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../configs/logger.config');
+const { DATA_DIR } = require('../configs/download.config');
+const {
+  PAIRING_CODE_LENGTH,
+  PAIRING_CODE_TTL,
+  PAIRING_MAX_ATTEMPTS,
+  TOKEN_PREFIX,
+  TOKEN_TOUCH_INTERVAL,
+} = require('../configs/auth.config');
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const randomCode = () =>
+  String(crypto.randomInt(10 ** PAIRING_CODE_LENGTH)).padStart(
+    PAIRING_CODE_LENGTH,
+    '0'
+  );
+
+const sameCode = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// API tokens issued through pairing, journaled like jobs and sessions. Only
+// a hash of each token is kept, the token itself is shown once.
+class TokenStore {
+  constructor() {
+    this.journalPath = path.join(DATA_DIR, 'tokens.jsonl');
+    this.tokens = new Map();
+    this.pairing = null;
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const entry = JSON.parse(line);
+          if (entry.deleted) {
+            this.tokens.delete(entry.id);
+          } else {
+            this.tokens.set(entry.id, {
+              ...this.tokens.get(entry.id),
+              ...entry,
+            });
+          }
+        } catch {
+          logger.warn('Skipping unreadable token journal entry');
+        }
+      }
+    }
+
+    this.compact();
+    logger.info('Token store loaded', { tokenCount: this.tokens.size });
+  }
+
+  compact() {
+    const tempPath = `${this.journalPath}.tmp`;
+    const content = Array.from(this.tokens.values())
+      .map(token => JSON.stringify(token) + '\n')
+      .join('');
+
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.journalPath);
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+  }
+
+  // The code currently offered on the root page, replaced once it expires
+  getPairingCode() {
+    if (!this.pairing || Date.parse(this.pairing.expiresAt) <= Date.now()) {
+      this.pairing = {
+        code: randomCode(),
+        expiresAt: new Date(Date.now() + PAIRING_CODE_TTL).toISOString(),
+        attempts: 0,
+      };
+    }
+
+    return { code: this.pairing.code, expiresAt: this.pairing.expiresAt };
+  }
+
+  // Exchange the pairing code for a new token. The code works once, and is
+  // replaced after too many wrong guesses. Returns null when it does not
+  // match.
+  pair(code, name) {
+    const { code: expected } = this.getPairingCode();
+
+    if (!sameCode(code, expected)) {
+      this.pairing.attempts++;
+      if (this.pairing.attempts >= PAIRING_MAX_ATTEMPTS) {
+        logger.warn('Pairing code replaced after repeated wrong guesses');
+        this.pairing = null;
+      }
+      return null;
+    }
+
+    this.pairing = null;
+    return this.create(name);
+  }
+
+  create(name) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+
+    this.tokens.set(record.id, record);
+    this.append(record);
+
+    return { token, record };
+  }
+
+  // Record for a presented token, or null when it is unknown or revoked
+  verify(token) {
+    const hash = hashToken(token);
+    const record = Array.from(this.tokens.values()).find(
+      candidate => candidate.hash === hash
+    );
+    if (!record) return null;
+
+    const now = Date.now();
+    if (
+      !record.lastUsedAt ||
+      now - Date.parse(record.lastUsedAt) >= TOKEN_TOUCH_INTERVAL
+    ) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this.append({ id: record.id, lastUsedAt: record.lastUsedAt });
+    }
+
+    return record;
+  }
+
+  list() {
+    return Array.from(this.tokens.values());
+  }
+
+  revoke(id) {
+    if (!this.tokens.delete(id)) return false;
+
+    this.append({ id, deleted: true });
+    return true;
+  }
+}
+
+module.exports = new TokenStore();
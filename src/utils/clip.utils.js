@@ -0,0 +1,51 @@
+// Clip mode: a job given startTime and/or endTime (seconds) only downloads
+// the segments that overlap that range. MPEG-TS output is then trimmed to
+// the keyframe at or before startTime when it is remuxed; fragmented MP4 is
+// cut at segment boundaries, which start on keyframes.
+
+const hasClip = clip =>
+  !!clip && (clip.startTime !== undefined || clip.endTime !== undefined);
+
+const clipError = (message, clip, duration) => {
+  const error = new Error(message);
+  error.code = 'CLIP_OUT_OF_RANGE';
+  error.details = { ...clip, duration };
+  return error;
+};
+
+// Segments (HLS playlist entries or DASH segments with start and duration)
+// that overlap the clip range
+const selectClipSegments = (
+  segments,
+  { startTime = 0, endTime = Infinity }
+) => {
+  const last = segments[segments.length - 1];
+  const duration = last ? last.start + last.duration : 0;
+
+  const selected = segments.filter(
+    segment =>
+      segment.start + segment.duration > startTime && segment.start < endTime
+  );
+  if (selected.length === 0) {
+    throw clipError(
+      `Clip range lies outside the ${Math.round(duration)}s stream`,
+      { startTime, endTime: Number.isFinite(endTime) ? endTime : null },
+      duration
+    );
+  }
+
+  return selected;
+};
+
+// Where to cut the downloaded media, in seconds from the start of its first
+// segment
+const clipTrim = (firstSegment, { startTime = 0, endTime = Infinity }) => ({
+  start: Math.max(0, startTime - firstSegment.start),
+  end: endTime - firstSegment.start,
+});
+
+module.exports = {
+  hasClip,
+  selectClipSegments,
+  clipTrim,
+};
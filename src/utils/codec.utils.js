@@ -0,0 +1,333 @@
+// Codec parameter parsing and MP4 decoder configuration records for H.264,
+// H.265 and AAC
+
+const { box, fullBox } = require('./mp4.utils');
+
+const H264_HIGH_PROFILES = new Set([
+  100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135,
+]);
+
+// NAL unit payloads escape 00 00 0x with an extra 03, drop it before
+// reading bits
+const removeEmulationPrevention = nal => {
+  const bytes = [];
+  let zeros = 0;
+
+  for (const byte of nal) {
+    if (zeros >= 2 && byte === 0x03) {
+      zeros = 0;
+      continue;
+    }
+    bytes.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+
+  return Buffer.from(bytes);
+};
+
+class BitReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.position = 0;
+  }
+
+  readBit() {
+    const byte = this.buffer[this.position >> 3];
+    if (byte === undefined) {
+      throw new Error('Parameter set ended unexpectedly');
+    }
+    const bit = (byte >> (7 - (this.position & 7))) & 1;
+    this.position++;
+    return bit;
+  }
+
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + this.readBit();
+    }
+    return value;
+  }
+
+  skipBits(count) {
+    this.position += count;
+  }
+
+  // Exp-Golomb coded unsigned and signed integers
+  readUE() {
+    let leadingZeros = 0;
+    while (this.readBit() === 0) leadingZeros++;
+    return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+  }
+
+  readSE() {
+    const value = this.readUE();
+    return value % 2 ? (value + 1) / 2 : -value / 2;
+  }
+}
+
+const skipScalingList = (reader, size) => {
+  let lastScale = 8;
+  let nextScale = 8;
+
+  for (let i = 0; i < size; i++) {
+    if (nextScale !== 0) {
+      nextScale = (lastScale + reader.readSE() + 256) % 256;
+    }
+    lastScale = nextScale === 0 ? lastScale : nextScale;
+  }
+};
+
+// Fields of an H.264 sequence parameter set needed for the avc1 entry
+const parseAvcSps = nal => {
+  const rbsp = removeEmulationPrevention(nal);
+  const reader = new BitReader(rbsp.subarray(1));
+
+  const profileIdc = reader.readBits(8);
+  const compatibility = reader.readBits(8);
+  const levelIdc = reader.readBits(8);
+  reader.readUE(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  let bitDepthLuma = 8;
+  let bitDepthChroma = 8;
+
+  if (H264_HIGH_PROFILES.has(profileIdc)) {
+    chromaFormatIdc = reader.readUE();
+    if (chromaFormatIdc === 3) reader.skipBits(1);
+    bitDepthLuma = reader.readUE() + 8;
+    bitDepthChroma = reader.readUE() + 8;
+    reader.skipBits(1); // qpprime_y_zero_transform_bypass_flag
+
+    if (reader.readBit()) {
+      const listCount = chromaFormatIdc === 3 ? 12 : 8;
+      for (let i = 0; i < listCount; i++) {
+        if (reader.readBit()) skipScalingList(reader, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  reader.readUE(); // log2_max_frame_num_minus4
+  const picOrderCntType = reader.readUE();
+  if (picOrderCntType === 0) {
+    reader.readUE();
+  } else if (picOrderCntType === 1) {
+    reader.skipBits(1);
+    reader.readSE();
+    reader.readSE();
+    const cycleLength = reader.readUE();
+    for (let i = 0; i < cycleLength; i++) reader.readSE();
+  }
+
+  reader.readUE(); // max_num_ref_frames
+  reader.skipBits(1);
+  const widthInMbs = reader.readUE() + 1;
+  const heightInMapUnits = reader.readUE() + 1;
+  const frameMbsOnly = reader.readBit();
+  if (!frameMbsOnly) reader.skipBits(1);
+  reader.skipBits(1); // direct_8x8_inference_flag
+
+  let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+  if (reader.readBit()) {
+    crop = {
+      left: reader.readUE(),
+      right: reader.readUE(),
+      top: reader.readUE(),
+      bottom: reader.readUE(),
+    };
+  }
+
+  const subWidth = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+  const subHeight = chromaFormatIdc === 1 ? 2 : 1;
+  const cropUnitX = chromaFormatIdc === 0 ? 1 : subWidth;
+  const cropUnitY =
+    (chromaFormatIdc === 0 ? 1 : subHeight) * (2 - frameMbsOnly);
+
+  return {
+    profileIdc,
+    compatibility,
+    levelIdc,
+    chromaFormatIdc,
+    bitDepthLuma,
+    bitDepthChroma,
+    width: widthInMbs * 16 - cropUnitX * (crop.left + crop.right),
+    height:
+      (2 - frameMbsOnly) * heightInMapUnits * 16 -
+      cropUnitY * (crop.top + crop.bottom),
+  };
+};
+
+// Fields of an H.265 sequence parameter set needed for the hvc1 entry
+const parseHevcSps = nal => {
+  const rbsp = removeEmulationPrevention(nal).subarray(2);
+  const reader = new BitReader(rbsp);
+
+  reader.skipBits(4); // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = reader.readBits(3);
+  const temporalIdNesting = reader.readBit();
+
+  // general profile_tier_level, copied as is into hvcC
+  const profileTierLevel = rbsp.subarray(1, 13);
+  reader.skipBits(96);
+
+  const subLayerFlags = [];
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    subLayerFlags.push({
+      profile: reader.readBit(),
+      level: reader.readBit(),
+    });
+  }
+  if (maxSubLayersMinus1 > 0) {
+    reader.skipBits(2 * (8 - maxSubLayersMinus1));
+  }
+  for (const flags of subLayerFlags) {
+    if (flags.profile) reader.skipBits(88);
+    if (flags.level) reader.skipBits(8);
+  }
+
+  reader.readUE(); // sps_seq_parameter_set_id
+  const chromaFormatIdc = reader.readUE();
+  if (chromaFormatIdc === 3) reader.skipBits(1);
+  let width = reader.readUE();
+  let height = reader.readUE();
+
+  if (reader.readBit()) {
+    const subWidth = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const subHeight = chromaFormatIdc === 1 ? 2 : 1;
+    width -= subWidth * (reader.readUE() + reader.readUE());
+    height -= subHeight * (reader.readUE() + reader.readUE());
+  }
+
+  return {
+    profileTierLevel,
+    maxSubLayers: maxSubLayersMinus1 + 1,
+    temporalIdNesting,
+    chromaFormatIdc,
+    bitDepthLuma: reader.readUE() + 8,
+    bitDepthChroma: reader.readUE() + 8,
+    width,
+    height,
+  };
+};
+
+const lengthPrefixed = units =>
+  Buffer.concat(
+    units.flatMap(unit => {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(unit.length, 0);
+      return [length, unit];
+    })
+  );
+
+// AVCDecoderConfigurationRecord with four byte NAL lengths
+const buildAvcC = (spsUnits, ppsUnits) => {
+  const sps = parseAvcSps(spsUnits[0]);
+  const fields = [
+    Buffer.from([
+      1,
+      sps.profileIdc,
+      sps.compatibility,
+      sps.levelIdc,
+      0xff,
+      0xe0 | spsUnits.length,
+    ]),
+    lengthPrefixed(spsUnits),
+    Buffer.from([ppsUnits.length]),
+    lengthPrefixed(ppsUnits),
+  ];
+
+  if (H264_HIGH_PROFILES.has(sps.profileIdc)) {
+    fields.push(
+      Buffer.from([
+        0xfc | sps.chromaFormatIdc,
+        0xf8 | (sps.bitDepthLuma - 8),
+        0xf8 | (sps.bitDepthChroma - 8),
+        0,
+      ])
+    );
+  }
+
+  return box('avcC', ...fields);
+};
+
+// HEVCDecoderConfigurationRecord with four byte NAL lengths
+const buildHvcC = (vpsUnits, spsUnits, ppsUnits) => {
+  const sps = parseHevcSps(spsUnits[0]);
+  const arrays = [
+    [32, vpsUnits],
+    [33, spsUnits],
+    [34, ppsUnits],
+  ].filter(([, units]) => units.length > 0);
+
+  return box(
+    'hvcC',
+    Buffer.from([1]),
+    sps.profileTierLevel,
+    Buffer.from([
+      0xf0,
+      0x00, // min_spatial_segmentation_idc
+      0xfc, // parallelismType
+      0xfc | sps.chromaFormatIdc,
+      0xf8 | (sps.bitDepthLuma - 8),
+      0xf8 | (sps.bitDepthChroma - 8),
+      0x00,
+      0x00, // avgFrameRate
+      (sps.maxSubLayers << 3) | (sps.temporalIdNesting << 2) | 0x03,
+      arrays.length,
+    ]),
+    ...arrays.map(([type, units]) => {
+      const header = Buffer.alloc(3);
+      header[0] = 0x80 | type;
+      header.writeUInt16BE(units.length, 1);
+      return Buffer.concat([header, lengthPrefixed(units)]);
+    })
+  );
+};
+
+// MPEG-4 descriptors use a tag and a variable length size
+const descriptor = (tag, ...payloads) => {
+  const body = Buffer.concat(payloads);
+  return Buffer.concat([
+    Buffer.from([
+      tag,
+      0x80 | ((body.length >> 21) & 0x7f),
+      0x80 | ((body.length >> 14) & 0x7f),
+      0x80 | ((body.length >> 7) & 0x7f),
+      body.length & 0x7f,
+    ]),
+    body,
+  ]);
+};
+
+// Elementary stream descriptor carrying the AudioSpecificConfig of an ADTS
+// stream
+const buildEsds = ({ objectType, samplingFrequencyIndex, channelConfig }) => {
+  const audioSpecificConfig = Buffer.from([
+    (objectType << 3) | (samplingFrequencyIndex >> 1),
+    ((samplingFrequencyIndex & 0x01) << 7) | (channelConfig << 3),
+  ]);
+
+  return fullBox(
+    'esds',
+    0,
+    0,
+    descriptor(
+      0x03,
+      Buffer.from([0, 1, 0]), // ES_ID, flags
+      descriptor(
+        0x04,
+        Buffer.from([0x40, 0x15, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+        descriptor(0x05, audioSpecificConfig)
+      ),
+      descriptor(0x06, Buffer.from([0x02]))
+    )
+  );
+};
+
+module.exports = {
+  parseAvcSps,
+  parseHevcSps,
+  buildAvcC,
+  buildHvcC,
+  buildEsds,
+};
@@ -0,0 +1,153 @@
+const net = require('net');
+
+// RFC 6265 section 5.1.3 domain matching
+const domainMatches = (host, cookie) => {
+  if (host === cookie.domain) return true;
+  if (cookie.hostOnly || net.isIP(host)) return false;
+  return host.endsWith(`.${cookie.domain}`);
+};
+
+// RFC 6265 section 5.1.4 path matching
+const pathMatches = (requestPath, cookiePath) => {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+};
+
+// RFC 6265 section 5.1.4 default-path of a request url
+const defaultPath = pathname => {
+  if (!pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+};
+
+// Holds the cookies of one download job and picks the ones that belong on
+// each outbound request. Cookies captured by the extension follow Chrome's
+// convention: a leading dot on the domain marks a domain cookie, anything
+// else is host-only.
+class CookieJar {
+  constructor(cookies = []) {
+    this.cookies = [];
+
+    for (const cookie of cookies) {
+      if (!cookie?.name || !cookie.domain) continue;
+
+      const domain = cookie.domain.toLowerCase();
+      this.store({
+        name: cookie.name,
+        value: cookie.value ?? '',
+        domain: domain.replace(/^\./, ''),
+        hostOnly: !domain.startsWith('.'),
+        path: cookie.path || '/',
+        secure: !!cookie.secure,
+        httpOnly: !!cookie.httpOnly,
+        expiresAt: cookie.expirationDate ? cookie.expirationDate * 1000 : null,
+      });
+    }
+  }
+
+  get size() {
+    return this.cookies.length;
+  }
+
+  // A cookie replaces any other with the same name, domain and path
+  store(cookie) {
+    this.cookies = this.cookies.filter(
+      existing =>
+        !(
+          existing.name === cookie.name &&
+          existing.domain === cookie.domain &&
+          existing.path === cookie.path
+        )
+    );
+
+    if (cookie.expiresAt === null || cookie.expiresAt > Date.now()) {
+      this.cookies.push(cookie);
+    }
+  }
+
+  // Value for the Cookie header of a request to url, or null if none apply
+  getCookieHeader(url) {
+    const { protocol, hostname, pathname } = new URL(url);
+    const now = Date.now();
+
+    const matching = this.cookies
+      .filter(
+        cookie =>
+          (cookie.expiresAt === null || cookie.expiresAt > now) &&
+          (!cookie.secure || protocol === 'https:') &&
+          domainMatches(hostname, cookie) &&
+          pathMatches(pathname || '/', cookie.path)
+      )
+      // Longer paths first, as RFC 6265 section 5.4 recommends
+      .sort((a, b) => b.path.length - a.path.length);
+
+    if (matching.length === 0) return null;
+
+    return matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  // Record Set-Cookie headers from a response to url, CDNs often hand out
+  // signed-url cookies on the manifest response
+  setCookies(setCookieHeaders, url) {
+    if (!setCookieHeaders) return;
+
+    const { hostname, pathname } = new URL(url);
+    const headers = Array.isArray(setCookieHeaders)
+      ? setCookieHeaders
+      : [setCookieHeaders];
+
+    for (const header of headers) {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator <= 0) continue;
+
+      const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: hostname,
+        hostOnly: true,
+        path: defaultPath(pathname),
+        secure: false,
+        httpOnly: false,
+        expiresAt: null,
+      };
+
+      for (const attribute of attributes) {
+        const [rawKey, ...rest] = attribute.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rest.join('=').trim();
+
+        if (key === 'domain' && value) {
+          const domain = value.toLowerCase().replace(/^\./, '');
+          // Servers may only widen a cookie to a domain they belong to
+          if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+            cookie.domain = null;
+            break;
+          }
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+        } else if (key === 'path' && value.startsWith('/')) {
+          cookie.path = value;
+        } else if (key === 'secure') {
+          cookie.secure = true;
+        } else if (key === 'httponly') {
+          cookie.httpOnly = true;
+        } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+          cookie.expiresAt = Date.now() + parseInt(value) * 1000;
+        } else if (key === 'expires' && cookie.expiresAt === null) {
+          const expires = Date.parse(value);
+          if (!isNaN(expires)) cookie.expiresAt = expires;
+        }
+      }
+
+      if (cookie.domain) {
+        this.store(cookie);
+      }
+    }
+  }
+}
+
+module.exports = {
+  CookieJar,
+};
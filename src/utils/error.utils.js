@@ -0,0 +1,14 @@
+// Build an Error that the global error middleware turns into a response
+// with the given status code and optional extra fields
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = {
+  createHttpError,
+};
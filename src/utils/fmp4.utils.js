@@ -0,0 +1,234 @@
+const {
+  readBoxes,
+  parseTree,
+  serializeTree,
+  setPayload,
+  findChild,
+  findChildren,
+  findPath,
+  readTrackInfo,
+} = require('./mp4.utils');
+
+const TFHD_BASE_DATA_OFFSET = 0x000001;
+const TFHD_SAMPLE_DESCRIPTION_INDEX = 0x000002;
+const TFHD_DEFAULT_BASE_IS_MOOF = 0x020000;
+const TRUN_DATA_OFFSET = 0x000001;
+
+const parseTfhd = payload => {
+  const flags = payload.readUInt32BE(0) & 0xffffff;
+  let offset = 8;
+
+  const tfhd = {
+    version: payload[0],
+    flags,
+    trackId: payload.readUInt32BE(4),
+    baseDataOffset: null,
+    sampleDescriptionIndex: null,
+  };
+
+  if (flags & TFHD_BASE_DATA_OFFSET) {
+    tfhd.baseDataOffset = Number(payload.readBigUInt64BE(offset));
+    offset += 8;
+  }
+  if (flags & TFHD_SAMPLE_DESCRIPTION_INDEX) {
+    tfhd.sampleDescriptionIndex = payload.readUInt32BE(offset);
+    offset += 4;
+  }
+
+  // Default duration, size and flags follow and are kept as they are
+  tfhd.defaults = payload.subarray(offset);
+  return tfhd;
+};
+
+const buildTfhd = tfhd => {
+  let flags =
+    tfhd.flags & ~TFHD_BASE_DATA_OFFSET & ~TFHD_SAMPLE_DESCRIPTION_INDEX;
+  flags |= TFHD_DEFAULT_BASE_IS_MOOF;
+  if (tfhd.sampleDescriptionIndex !== null) {
+    flags |= TFHD_SAMPLE_DESCRIPTION_INDEX;
+  }
+
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(((tfhd.version << 24) | flags) >>> 0, 0);
+  header.writeUInt32BE(tfhd.trackId, 4);
+
+  const fields = [header];
+  if (tfhd.sampleDescriptionIndex !== null) {
+    const index = Buffer.alloc(4);
+    index.writeUInt32BE(tfhd.sampleDescriptionIndex, 0);
+    fields.push(index);
+  }
+  fields.push(tfhd.defaults);
+
+  return Buffer.concat(fields);
+};
+
+// Rewrite the movie fragments of a media segment so that it can follow the
+// combined init segment in one file. Track ids and sample description
+// indexes are remapped when the init segment changed mid-stream, and
+// absolute base data offsets, which point into the original file, become
+// moof-relative. fileOffset is where data starts in that file, the start of
+// its byte range. Tracks mapped to null, the other tracks of a muxed file,
+// are left out of the fragments. Returns the data untouched when nothing
+// needed to change.
+const normalizeFragment = (data, trackMapping = null, fileOffset = 0) => {
+  const tree = parseTree(data);
+  let changed = false;
+
+  for (const moof of tree.filter(node => node.type === 'moof')) {
+    const dataOffsets = [];
+    let moofChanged = false;
+
+    for (const traf of findChildren(moof, 'traf')) {
+      const tfhdNode = findChild(traf, 'tfhd');
+      const tfhd = parseTfhd(tfhdNode.payload);
+      const base =
+        tfhd.baseDataOffset === null
+          ? moof.start
+          : tfhd.baseDataOffset - fileOffset;
+      const mapping = trackMapping?.get(tfhd.trackId);
+
+      if (mapping === null) {
+        moof.children = moof.children.filter(child => child !== traf);
+        moofChanged = true;
+        continue;
+      }
+
+      const descriptionIndex = mapping
+        ? mapping.descriptionIndexes[(tfhd.sampleDescriptionIndex || 1) - 1]
+        : tfhd.sampleDescriptionIndex;
+
+      if (
+        tfhd.baseDataOffset !== null ||
+        (mapping && mapping.trackId !== tfhd.trackId) ||
+        descriptionIndex !== tfhd.sampleDescriptionIndex
+      ) {
+        setPayload(
+          tfhdNode,
+          buildTfhd({
+            ...tfhd,
+            trackId: mapping ? mapping.trackId : tfhd.trackId,
+            sampleDescriptionIndex:
+              descriptionIndex === 1 && !tfhd.sampleDescriptionIndex
+                ? null
+                : descriptionIndex,
+          })
+        );
+        moofChanged = true;
+      }
+
+      for (const trun of findChildren(traf, 'trun')) {
+        if (trun.payload.readUInt32BE(0) & TRUN_DATA_OFFSET) {
+          dataOffsets.push({
+            trun,
+            absolute: base + trun.payload.readInt32BE(8),
+          });
+        }
+      }
+    }
+
+    if (!moofChanged) continue;
+
+    // The moof may have grown, which moves the samples that follow it
+    const delta = serializeTree([moof]).length - moof.raw.length;
+    for (const { trun, absolute } of dataOffsets) {
+      const payload = Buffer.from(trun.payload);
+      payload.writeInt32BE(absolute + delta - moof.start, 8);
+      setPayload(trun, payload);
+    }
+
+    changed = true;
+  }
+
+  return changed ? serializeTree(tree) : data;
+};
+
+// Combines the init segments (EXT-X-MAP) of one stream into a single moov.
+// When the map changes mid-playlist, the new sample descriptions are added
+// to the matching tracks of the first init segment so the fragments that
+// follow can reference them by index.
+class InitSegmentMerger {
+  constructor() {
+    this.tree = null;
+    this.raw = null;
+  }
+
+  get hasInit() {
+    return this.tree !== null;
+  }
+
+  // Returns the track mapping for fragments that follow this init segment
+  add(init) {
+    if (!this.tree) {
+      this.tree = parseTree(init);
+      this.raw = init;
+      return null;
+    }
+
+    if (init.equals(this.raw)) return null;
+
+    const baseMoov = this.tree.find(node => node.type === 'moov');
+    const moov = parseTree(init).find(node => node.type === 'moov');
+    if (!baseMoov || !moov) {
+      throw new Error('Initialization segment has no moov box');
+    }
+
+    const baseTraks = findChildren(baseMoov, 'trak');
+    const trackMapping = new Map();
+
+    for (const trak of findChildren(moov, 'trak')) {
+      const info = readTrackInfo(trak);
+      const baseTrak = baseTraks.find(
+        candidate => readTrackInfo(candidate).handler === info.handler
+      );
+
+      if (!baseTrak) {
+        throw new Error(
+          `Initialization segment adds a '${info.handler}' track the stream did not start with`
+        );
+      }
+
+      const baseInfo = readTrackInfo(baseTrak);
+      if (baseInfo.timescale !== info.timescale) {
+        throw new Error(
+          'Initialization segments use different timescales and cannot be combined'
+        );
+      }
+
+      trackMapping.set(info.trackId, {
+        trackId: baseInfo.trackId,
+        descriptionIndexes: info.sampleEntries.map(entry =>
+          this.addSampleEntry(baseTrak, entry)
+        ),
+      });
+    }
+
+    return trackMapping;
+  }
+
+  // Add a sample entry to the track's stsd, reusing an identical one
+  addSampleEntry(trak, entry) {
+    const stsd = findPath(trak, 'mdia/minf/stbl/stsd');
+    const entries = readBoxes(stsd.payload, 8).map(header =>
+      stsd.payload.subarray(header.start, header.end)
+    );
+
+    const existing = entries.findIndex(candidate => candidate.equals(entry));
+    if (existing !== -1) return existing + 1;
+
+    const header = Buffer.from(stsd.payload.subarray(0, 8));
+    header.writeUInt32BE(entries.length + 1, 4);
+    setPayload(stsd, Buffer.concat([header, ...entries, entry]));
+
+    return entries.length + 1;
+  }
+
+  build() {
+    return serializeTree(this.tree);
+  }
+}
+
+module.exports = {
+  normalizeFragment,
+  InitSegmentMerger,
+};
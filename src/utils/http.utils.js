@@ -0,0 +1,140 @@
+const axios = require('axios');
+const {
+  REQUEST_TIMEOUT,
+  MAX_RETRIES,
+  RETRY_DELAY,
+  USER_AGENT,
+  MAX_REDIRECTS,
+  MAX_TEXT_SIZE,
+  MAX_SEGMENT_SIZE,
+} = require('../configs/download.config');
+const {
+  assertAllowedUrl,
+  guardedLookup,
+  beforeRedirect,
+} = require('./ssrf.utils');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const FATAL_CODES = ['SSRF_BLOCKED', 'RESPONSE_TOO_LARGE'];
+
+// Only network errors, throttling and server errors are worth retrying
+const isRetryable = error => {
+  if (FATAL_CODES.includes(error.code)) return false;
+
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// Give guard failures their own error. axios reports the size cap with a
+// generic code, and follow-redirects wraps errors raised on a redirect hop.
+const toGuardError = (error, url, maxSize) => {
+  if (error.cause?.code === 'SSRF_BLOCKED') return error.cause;
+  if (!/^maxContentLength size of/.test(error.message)) return error;
+
+  const sizeError = new Error(
+    `Response exceeded the ${maxSize} byte limit: ${url}`
+  );
+  sizeError.code = 'RESPONSE_TOO_LARGE';
+  sizeError.details = { url, maxSize };
+  return sizeError;
+};
+
+// GET a url with retries and exponential backoff. When a cookieJar is
+// given, matching cookies are sent and Set-Cookie responses are recorded.
+// A byteRange of { offset, length } requests only that part of the resource,
+// up to its end when length is null.
+// Private addresses are refused on every hop (see ssrf.utils) and bodies
+// larger than maxSize are cut off.
+const httpGet = async (
+  url,
+  {
+    responseType,
+    headers = {},
+    signal,
+    cookieJar,
+    byteRange,
+    maxSize = MAX_SEGMENT_SIZE,
+  } = {}
+) => {
+  assertAllowedUrl(url);
+
+  let lastError;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const cookieHeader = cookieJar?.getCookieHeader(url);
+      const response = await axios.get(url, {
+        responseType,
+        signal,
+        timeout: REQUEST_TIMEOUT,
+        lookup: guardedLookup,
+        beforeRedirect,
+        maxRedirects: MAX_REDIRECTS,
+        maxContentLength: maxSize,
+        // A proxy would do the resolving, which the guard has to see
+        proxy: false,
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...headers,
+          ...(cookieHeader && { Cookie: cookieHeader }),
+          ...(byteRange && {
+            Range: `bytes=${byteRange.offset}-${byteRange.length === null ? '' : byteRange.offset + byteRange.length - 1}`,
+          }),
+        },
+      });
+
+      cookieJar?.setCookies(response.headers['set-cookie'], url);
+      return response;
+    } catch (error) {
+      lastError = toGuardError(error, url, maxSize);
+      if (signal?.aborted || !isRetryable(lastError)) {
+        break;
+      }
+      await sleep(RETRY_DELAY * Math.pow(2, attempt));
+    }
+  }
+
+  throw lastError;
+};
+
+// Fetch a text resource, returning the final url after redirects so that
+// relative uris inside it can be resolved correctly
+const fetchText = async (url, options = {}) => {
+  const response = await httpGet(url, {
+    ...options,
+    responseType: 'text',
+    maxSize: MAX_TEXT_SIZE,
+  });
+
+  return {
+    text: response.data,
+    url: response.request?.res?.responseUrl || url,
+  };
+};
+
+const fetchBuffer = async (url, options = {}) => {
+  const response = await httpGet(url, {
+    ...options,
+    responseType: 'arraybuffer',
+  });
+
+  const data = Buffer.from(response.data);
+
+  // Servers that ignore Range answer 200 with the whole resource
+  if (options.byteRange && response.status === 200) {
+    const { offset, length } = options.byteRange;
+    return data.subarray(
+      offset,
+      length === null ? data.length : offset + length
+    );
+  }
+
+  return data;
+};
+
+module.exports = {
+  httpGet,
+  fetchText,
+  fetchBuffer,
+};
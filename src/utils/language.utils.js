@@ -0,0 +1,124 @@
+// Audio language preferences. Manifests tag renditions with BCP 47 codes
+// (en, en-US, pt-BR) and sometimes three letter ISO 639-2 ones (eng); MP4
+// stores ISO 639-2/T codes.
+
+// ISO 639-1 to ISO 639-2/T for the languages streams commonly carry
+const ISO_639_2 = {
+  ar: 'ara',
+  bg: 'bul',
+  bn: 'ben',
+  ca: 'cat',
+  cs: 'ces',
+  da: 'dan',
+  de: 'deu',
+  el: 'ell',
+  en: 'eng',
+  es: 'spa',
+  et: 'est',
+  fa: 'fas',
+  fi: 'fin',
+  fr: 'fra',
+  he: 'heb',
+  hi: 'hin',
+  hr: 'hrv',
+  hu: 'hun',
+  id: 'ind',
+  it: 'ita',
+  ja: 'jpn',
+  ko: 'kor',
+  lt: 'lit',
+  lv: 'lav',
+  ms: 'msa',
+  nb: 'nob',
+  nl: 'nld',
+  no: 'nor',
+  pl: 'pol',
+  pt: 'por',
+  ro: 'ron',
+  ru: 'rus',
+  sk: 'slk',
+  sl: 'slv',
+  sr: 'srp',
+  sv: 'swe',
+  ta: 'tam',
+  te: 'tel',
+  th: 'tha',
+  tr: 'tur',
+  uk: 'ukr',
+  ur: 'urd',
+  vi: 'vie',
+  zh: 'zho',
+};
+
+// Bibliographic codes some packagers write instead of the terminology ones
+const ISO_639_2_B = {
+  chi: 'zho',
+  cze: 'ces',
+  dut: 'nld',
+  fre: 'fra',
+  ger: 'deu',
+  gre: 'ell',
+  per: 'fas',
+  rum: 'ron',
+  slo: 'slk',
+};
+
+const ISO_639_1 = Object.fromEntries(
+  Object.entries(ISO_639_2).map(([short, long]) => [long, short])
+);
+
+// Primary subtag, as a two letter code when there is one: "en-US" and
+// "eng" both give "en"
+const primaryLanguage = tag => {
+  const primary = String(tag ?? '')
+    .split(/[-_]/)[0]
+    .toLowerCase();
+  const terminology = ISO_639_2_B[primary] ?? primary;
+  return ISO_639_1[terminology] ?? terminology;
+};
+
+// ISO 639-2/T code of a tag for the MP4 mdhd box, 'und' when unknown
+const toIso6392 = tag => {
+  const primary = primaryLanguage(tag);
+  if (ISO_639_2[primary]) return ISO_639_2[primary];
+  return /^[a-z]{3}$/.test(primary) ? primary : 'und';
+};
+
+// Candidates matching the preferred languages, in preference order. A
+// preference takes the candidate with exactly its tag, otherwise one with
+// the same primary language, so "en" matches "en-GB" and "pt-BR" falls
+// back to "pt". multiple keeps a match for every preference, otherwise
+// only the first is returned.
+const selectByLanguage = (
+  candidates,
+  preferences,
+  languageOf,
+  { multiple = false } = {}
+) => {
+  const selected = [];
+
+  for (const preference of preferences) {
+    const wanted = preference.toLowerCase();
+    const match =
+      candidates.find(
+        candidate => languageOf(candidate)?.toLowerCase() === wanted
+      ) ??
+      candidates.find(
+        candidate =>
+          languageOf(candidate) &&
+          primaryLanguage(languageOf(candidate)) === primaryLanguage(wanted)
+      );
+
+    if (match && !selected.includes(match)) {
+      selected.push(match);
+      if (!multiple) break;
+    }
+  }
+
+  return selected;
+};
+
+module.exports = {
+  toIso6392,
+  selectByLanguage,
+};
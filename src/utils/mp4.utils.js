@@ -0,0 +1,225 @@
+// ISO base media file format (MP4) box helpers
+
+// Boxes whose payload is nothing but other boxes
+const CONTAINER_BOXES = new Set([
+  'moov',
+  'trak',
+  'mdia',
+  'minf',
+  'stbl',
+  'mvex',
+  'moof',
+  'traf',
+  'edts',
+  'dinf',
+]);
+
+// List the boxes between start and end without descending into them
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset, headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+// Parse boxes into a tree of nodes. Containers get children, every other
+// box keeps its raw bytes until its payload is replaced.
+const parseTree = (buffer, start = 0, end = buffer.length) =>
+  readBoxes(buffer, start, end).map(header => {
+    const node = {
+      type: header.type,
+      start: header.start,
+      raw: buffer.subarray(header.start, header.end),
+      payload: buffer.subarray(header.start + header.headerSize, header.end),
+    };
+
+    if (CONTAINER_BOXES.has(header.type)) {
+      node.children = parseTree(
+        buffer,
+        header.start + header.headerSize,
+        header.end
+      );
+    }
+
+    return node;
+  });
+
+const box = (type, ...payloads) => {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const fullBox = (type, version, flags, ...payloads) =>
+  box(
+    type,
+    Buffer.from([
+      version,
+      (flags >> 16) & 0xff,
+      (flags >> 8) & 0xff,
+      flags & 0xff,
+    ]),
+    ...payloads
+  );
+
+// mdhd language field: an ISO 639-2/T code packed as three 5-bit letters
+const packLanguage = code =>
+  [...code].reduce(
+    (packed, letter) => (packed << 5) | (letter.charCodeAt(0) - 0x60),
+    0
+  );
+
+// iTunes-style metadata (udta/meta/ilst) holding the title, which players
+// and music libraries show instead of the file name
+const buildTitleMetadata = title => {
+  const data = Buffer.concat([
+    Buffer.from([0, 0, 0, 1]), // UTF-8 text
+    Buffer.alloc(4),
+    Buffer.from(title, 'utf8'),
+  ]);
+
+  return box(
+    'udta',
+    fullBox(
+      'meta',
+      0,
+      0,
+      fullBox(
+        'hdlr',
+        0,
+        0,
+        Buffer.alloc(4),
+        Buffer.from('mdirappl'),
+        Buffer.alloc(9)
+      ),
+      box('ilst', box('\u00a9nam', box('data', data)))
+    )
+  );
+};
+
+const serializeNode = node => {
+  if (node.children) {
+    return box(node.type, ...node.children.map(serializeNode));
+  }
+  return node.modified ? box(node.type, node.payload) : node.raw;
+};
+
+const serializeTree = nodes => Buffer.concat(nodes.map(serializeNode));
+
+const setPayload = (node, payload) => {
+  node.payload = payload;
+  node.modified = true;
+};
+
+const findChild = (node, type) =>
+  node.children?.find(child => child.type === type) || null;
+
+const findChildren = (node, type) =>
+  node.children?.filter(child => child.type === type) || [];
+
+// Follow a path like 'mdia/minf/stbl/stsd' down from a node
+const findPath = (node, path) =>
+  path
+    .split('/')
+    .reduce((current, type) => current && findChild(current, type), node);
+
+// Fields of a track that matter when combining init segments
+const readTrackInfo = trak => {
+  const tkhd = findChild(trak, 'tkhd').payload;
+  const mdhd = findPath(trak, 'mdia/mdhd').payload;
+  const hdlr = findPath(trak, 'mdia/hdlr').payload;
+  const stsd = findPath(trak, 'mdia/minf/stbl/stsd').payload;
+
+  return {
+    trackId: tkhd.readUInt32BE(tkhd[0] === 1 ? 20 : 12),
+    timescale: mdhd.readUInt32BE(mdhd[0] === 1 ? 20 : 12),
+    handler: hdlr.toString('latin1', 8, 12),
+    sampleEntries: readBoxes(stsd, 8).map(entry =>
+      stsd.subarray(entry.start, entry.end)
+    ),
+  };
+};
+
+// Read a segment index (sidx). Reference offsets are made absolute using
+// the file offset the buffer was fetched from.
+const parseSidx = (buffer, fileOffset = 0) => {
+  const header = readBoxes(buffer).find(({ type }) => type === 'sidx');
+  if (!header) {
+    throw new Error('No sidx box found in index range');
+  }
+
+  const payload = buffer.subarray(header.start + header.headerSize, header.end);
+  const version = payload[0];
+  const timescale = payload.readUInt32BE(8);
+  const earliestPresentationTime =
+    version === 0
+      ? payload.readUInt32BE(12)
+      : Number(payload.readBigUInt64BE(12));
+  const firstOffset =
+    version === 0
+      ? payload.readUInt32BE(16)
+      : Number(payload.readBigUInt64BE(20));
+  let position = version === 0 ? 20 : 28;
+  const referenceCount = payload.readUInt16BE(position + 2);
+  position += 4;
+
+  // The first referenced byte follows the sidx box itself
+  let offset = fileOffset + header.end + firstOffset;
+  let time = earliestPresentationTime;
+  const references = [];
+
+  for (let i = 0; i < referenceCount; i++, position += 12) {
+    const reference = payload.readUInt32BE(position);
+    const size = reference & 0x7fffffff;
+    const duration = payload.readUInt32BE(position + 4);
+
+    references.push({
+      type: reference >>> 31 ? 'index' : 'media',
+      offset,
+      size,
+      time,
+      duration,
+    });
+
+    offset += size;
+    time += duration;
+  }
+
+  return { timescale, earliestPresentationTime, references };
+};
+
+module.exports = {
+  readBoxes,
+  parseTree,
+  box,
+  fullBox,
+  packLanguage,
+  buildTitleMetadata,
+  serializeTree,
+  setPayload,
+  findChild,
+  findChildren,
+  findPath,
+  readTrackInfo,
+  parseSidx,
+};
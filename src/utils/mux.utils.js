@@ -0,0 +1,335 @@
+const fs = require('fs/promises');
+const {
+  parseTree,
+  box,
+  packLanguage,
+  buildTitleMetadata,
+  serializeTree,
+  setPayload,
+  findChild,
+  findChildren,
+  findPath,
+  readTrackInfo,
+} = require('./mp4.utils');
+const { normalizeFragment } = require('./fmp4.utils');
+const { toIso6392 } = require('./language.utils');
+
+// Handler types of the tracks we mux, keyed by job track type
+const TRACK_HANDLERS = { video: 'vide', audio: 'soun' };
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// List the top-level boxes of a file without loading their payloads, media
+// files are far too large to read whole
+const readFileBoxes = async handle => {
+  const { size: fileSize } = await handle.stat();
+  const boxes = [];
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = await readAt(handle, position, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+
+    if (size < 8 || position + size > fileSize) {
+      throw new Error(`Truncated '${type}' box at offset ${position}`);
+    }
+
+    boxes.push({ type, start: position, end: position + size });
+    position += size;
+  }
+
+  return boxes;
+};
+
+const readBox = (handle, header) =>
+  readAt(handle, header.start, header.end - header.start);
+
+const writeTrackId = (node, offset, trackId) => {
+  const payload = Buffer.from(node.payload);
+  payload.writeUInt32BE(trackId, offset);
+  setPayload(node, payload);
+};
+
+// Tag the track with the language the manifest gave it
+const writeLanguage = (trak, language) => {
+  const mdhd = findPath(trak, 'mdia/mdhd');
+  const payload = Buffer.from(mdhd.payload);
+  payload.writeUInt16BE(
+    packLanguage(toIso6392(language)),
+    payload[0] === 1 ? 32 : 20
+  );
+  setPayload(mdhd, payload);
+};
+
+// Put the track in an alternate group, players play one track of a group
+// and start with the enabled one
+const writeAlternateGroup = (trak, group, enabled) => {
+  const tkhd = findChild(trak, 'tkhd');
+  const payload = Buffer.from(tkhd.payload);
+  payload[3] = enabled ? payload[3] | 1 : payload[3] & ~1;
+  payload.writeUInt16BE(group, payload[0] === 1 ? 46 : 34);
+  setPayload(tkhd, payload);
+};
+
+// Decode time of a track fragment in seconds, used to interleave the tracks
+const readFragmentTime = (traf, timescale) => {
+  const tfdt = findChild(traf, 'tfdt');
+  if (!tfdt) return null;
+
+  const time =
+    tfdt.payload[0] === 1
+      ? Number(tfdt.payload.readBigUInt64BE(4))
+      : tfdt.payload.readUInt32BE(4);
+  return time / timescale;
+};
+
+// Read the init segment and fragment layout of one fragmented MP4 track
+// file. A fragment is a moof with the mdat boxes that follow it.
+const openTrack = async (track, trackId) => {
+  const handle = await fs.open(track.path, 'r');
+  const boxes = await readFileBoxes(handle);
+
+  const moovHeader = boxes.find(({ type }) => type === 'moov');
+  if (!moovHeader) {
+    throw new Error(`Track file ${track.path} has no moov box`);
+  }
+
+  const ftypHeader = boxes.find(({ type }) => type === 'ftyp');
+  const ftyp = ftypHeader ? await readBox(handle, ftypHeader) : null;
+  const moov = parseTree(await readBox(handle, moovHeader))[0];
+
+  const handler = TRACK_HANDLERS[track.type];
+  const trak = findChildren(moov, 'trak').find(
+    candidate => readTrackInfo(candidate).handler === handler
+  );
+  if (!trak) {
+    throw new Error(`Track file ${track.path} has no '${handler}' track`);
+  }
+
+  const info = readTrackInfo(trak);
+  const mvex = findChild(moov, 'mvex');
+  const trex = mvex
+    ? findChildren(mvex, 'trex').find(
+        candidate => candidate.payload.readUInt32BE(4) === info.trackId
+      )
+    : null;
+  if (!trex) {
+    throw new Error(`Track file ${track.path} is not fragmented`);
+  }
+
+  // Fragments keep their sample description indexes, only the id changes
+  const trackMapping = new Map([
+    [
+      info.trackId,
+      {
+        trackId,
+        descriptionIndexes: info.sampleEntries.map((_, index) => index + 1),
+      },
+    ],
+  ]);
+  // A muxed file carries other tracks in the same fragments. Their trafs
+  // are dropped, their samples stay unreferenced in the mdat.
+  for (const other of findChildren(moov, 'trak')) {
+    const { trackId: otherId } = readTrackInfo(other);
+    if (otherId !== info.trackId) trackMapping.set(otherId, null);
+  }
+
+  const fragments = [];
+  let previousTime = 0;
+  for (const [index, header] of boxes.entries()) {
+    if (header.type !== 'moof') continue;
+
+    let end = header.end;
+    for (const next of boxes.slice(index + 1)) {
+      if (next.type !== 'mdat') break;
+      end = next.end;
+    }
+
+    const moofData = await readBox(handle, header);
+    const traf = findChildren(parseTree(moofData)[0], 'traf').find(
+      candidate =>
+        findChild(candidate, 'tfhd').payload.readUInt32BE(4) === info.trackId
+    );
+    // Only another track of a muxed file
+    if (!traf) continue;
+
+    const time = readFragmentTime(traf, info.timescale) ?? previousTime;
+    previousTime = time;
+
+    fragments.push({
+      moof: moofData,
+      start: header.start,
+      dataStart: header.end,
+      end,
+      time,
+    });
+  }
+
+  // The track now carries its new id in tkhd and trex
+  const tkhd = findChild(trak, 'tkhd');
+  writeTrackId(tkhd, tkhd.payload[0] === 1 ? 20 : 12, trackId);
+  writeTrackId(trex, 4, trackId);
+  if (track.language) writeLanguage(trak, track.language);
+
+  return { handle, ftyp, moov, trak, trex, trackMapping, fragments };
+};
+
+const readMovieTimescale = moov => {
+  const mvhd = findChild(moov, 'mvhd').payload;
+  return mvhd.readUInt32BE(mvhd[0] === 1 ? 20 : 12);
+};
+
+// Edit list durations are in movie timescale, which may differ between the
+// track files and the muxed movie header
+const rescaleEditList = (trak, from, to) => {
+  const elst = findPath(trak, 'edts/elst');
+  if (!elst || from === to) return;
+
+  const payload = Buffer.from(elst.payload);
+  const version = payload[0];
+  const entrySize = version === 1 ? 20 : 12;
+
+  for (let i = 0; i < payload.readUInt32BE(4); i++) {
+    const offset = 8 + i * entrySize;
+    if (version === 1) {
+      const duration = payload.readBigUInt64BE(offset);
+      payload.writeBigUInt64BE((duration * BigInt(to)) / BigInt(from), offset);
+    } else {
+      const duration = payload.readUInt32BE(offset);
+      payload.writeUInt32BE(Math.round((duration * to) / from), offset);
+    }
+  }
+
+  setPayload(elst, payload);
+};
+
+// Combine the moov boxes: movie header of the first track, then one trak
+// and one trex per track, and the title when there is one
+const buildMoov = (tracks, title) => {
+  const [first] = tracks;
+  const mvhd = findChild(first.moov, 'mvhd');
+
+  // next_track_ID closes the mvhd payload in both versions
+  const mvhdPayload = Buffer.from(mvhd.payload);
+  mvhdPayload.writeUInt32BE(tracks.length + 1, mvhdPayload.length - 4);
+  setPayload(mvhd, mvhdPayload);
+
+  const movieTimescale = readMovieTimescale(first.moov);
+  for (const track of tracks) {
+    rescaleEditList(track.trak, readMovieTimescale(track.moov), movieTimescale);
+  }
+
+  return serializeTree([
+    {
+      type: 'moov',
+      children: [
+        mvhd,
+        ...tracks.map(track => track.trak),
+        { type: 'mvex', children: tracks.map(track => track.trex) },
+        ...(title ? [{ type: 'udta', raw: buildTitleMetadata(title) }] : []),
+      ],
+    },
+  ]);
+};
+
+const renumberFragment = (moof, sequenceNumber) => {
+  const tree = parseTree(moof);
+  const mfhd = findChild(tree[0], 'mfhd');
+  const payload = Buffer.from(mfhd.payload);
+  payload.writeUInt32BE(sequenceNumber, 4);
+  setPayload(mfhd, payload);
+  return serializeTree(tree);
+};
+
+// Pick the next fragment across tracks in decode time order
+const nextFragment = (tracks, positions) => {
+  let chosen = null;
+
+  tracks.forEach((track, index) => {
+    const fragment = track.fragments[positions[index]];
+    if (!fragment) return;
+    if (!chosen || fragment.time < chosen.fragment.time) {
+      chosen = { track, index, fragment };
+    }
+  });
+
+  return chosen;
+};
+
+const copyRange = async (handle, output, start, end) => {
+  const chunkSize = 1024 * 1024;
+  for (let position = start; position < end; position += chunkSize) {
+    const chunk = await readAt(
+      handle,
+      position,
+      Math.min(chunkSize, end - position)
+    );
+    await output.write(chunk);
+  }
+};
+
+// Mux fragmented MP4 track files (one video, one or more audio...) into a
+// single fragmented MP4. Every track keeps its timescale and sample
+// descriptions, fragments are interleaved by decode time. Tracks with a
+// language are tagged with it, several audio tracks become alternatives
+// with the first playing by default. A single track is copied out of its
+// file the same way, which leaves the other tracks of a muxed file out.
+const muxTracks = async (tracks, outputPath, { title } = {}) => {
+  const opened = [];
+  let output = null;
+
+  try {
+    for (const [index, track] of tracks.entries()) {
+      opened.push(await openTrack(track, index + 1));
+    }
+
+    const audio = opened.filter((_, index) => tracks[index].type === 'audio');
+    if (audio.length > 1) {
+      audio.forEach((track, index) =>
+        writeAlternateGroup(track.trak, 1, index === 0)
+      );
+    }
+
+    const ftyp = opened.find(track => track.ftyp)?.ftyp;
+    output = await fs.open(outputPath, 'w');
+    await output.write(
+      ftyp || box('ftyp', Buffer.from('isom\0\0\0\0isomiso6'))
+    );
+    await output.write(buildMoov(opened, title));
+
+    const positions = opened.map(() => 0);
+    let sequenceNumber = 1;
+    let chosen;
+
+    while ((chosen = nextFragment(opened, positions))) {
+      const { track, index, fragment } = chosen;
+      const moof = normalizeFragment(
+        renumberFragment(fragment.moof, sequenceNumber++),
+        track.trackMapping,
+        fragment.start
+      );
+
+      await output.write(moof);
+      await copyRange(track.handle, output, fragment.dataStart, fragment.end);
+      positions[index]++;
+    }
+  } finally {
+    await output?.close();
+    await Promise.all(opened.map(track => track.handle.close()));
+  }
+};
+
+module.exports = {
+  muxTracks,
+};
@@ -1,5 +1,3 @@
-const logger = require('../configs/logger.config');
-
 // Enhanced video grouping for backend - identify streams belonging to the same video
 const getVideoGroupingKey = url => {
   try {
@@ -56,7 +54,7 @@ const getVideoGroupingKey = url => {
 
     // Fallback
     return segments.length > 0 ? `${domain}-${segments[0]}` : domain;
-  } catch (error) {
+  } catch {
     return `unknown-${Date.now()}`;
   }
 };
@@ -107,13 +105,24 @@ const extractVideoNameFromGroupingKey = (groupingKey, streams = []) => {
         .replace(/\.(mp4|webm|m3u8).*$/i, '')
         .trim() || 'Video Stream'
     );
-  } catch (error) {
+  } catch {
     return 'Video Stream';
   }
 };
 
+// Turn a job title into a safe download filename
+const buildDownloadFilename = (title, extension) => {
+  const name = (title || '')
+    .replace(/[\\/:*?"<>|\p{Cc}]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+
+  return `${name || 'video'}${extension}`;
+};
+
 module.exports = {
   getVideoGroupingKey,
   extractVideoNameFromGroupingKey,
-  extractVideoNameFromGroupingKey,
+  buildDownloadFilename,
 };
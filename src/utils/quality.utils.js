@@ -0,0 +1,142 @@
+// Quality policies pick one rendition out of an HLS master playlist or a
+// DASH adaptation set. Accepted forms:
+//   best | worst | maxHeight:720 | maxBandwidth:2500000 | 1280x720 | 720p
+
+const DEFAULT_QUALITY_POLICY = 'best';
+
+// Returns null when the policy is not understood
+const parseQualityPolicy = (policy = DEFAULT_QUALITY_POLICY) => {
+  const value = String(policy).trim();
+  let match;
+
+  if (/^best$/i.test(value)) return { type: 'best', label: 'best' };
+  if (/^worst$/i.test(value)) return { type: 'worst', label: 'worst' };
+
+  if ((match = /^maxHeight:(\d+)$/i.exec(value))) {
+    const height = parseInt(match[1], 10);
+    return { type: 'maxHeight', height, label: `maxHeight:${height}` };
+  }
+
+  if ((match = /^maxBandwidth:(\d+)$/i.exec(value))) {
+    const bandwidth = parseInt(match[1], 10);
+    return {
+      type: 'maxBandwidth',
+      bandwidth,
+      label: `maxBandwidth:${bandwidth}`,
+    };
+  }
+
+  if ((match = /^(\d+)x(\d+)$/i.exec(value))) {
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    return { type: 'resolution', width, height, label: `${width}x${height}` };
+  }
+
+  if ((match = /^(\d+)p$/i.exec(value))) {
+    const height = parseInt(match[1], 10);
+    return { type: 'resolution', width: null, height, label: `${height}p` };
+  }
+
+  return null;
+};
+
+const highestBandwidth = candidates =>
+  candidates.reduce((best, candidate) =>
+    candidate.bandwidth > best.bandwidth ? candidate : best
+  );
+
+const lowestBandwidth = candidates =>
+  candidates.reduce((worst, candidate) =>
+    candidate.bandwidth < worst.bandwidth ? candidate : worst
+  );
+
+// Pick a candidate ({ bandwidth, width, height }) for a parsed policy. When
+// nothing satisfies the policy the closest candidate is returned and
+// matched is false.
+const selectByPolicy = (candidates, policy) => {
+  if (candidates.length === 0) return { selected: null, matched: false };
+
+  switch (policy.type) {
+    case 'worst':
+      return { selected: lowestBandwidth(candidates), matched: true };
+
+    case 'maxHeight': {
+      const fitting = candidates.filter(
+        candidate => candidate.height && candidate.height <= policy.height
+      );
+      return fitting.length > 0
+        ? { selected: highestBandwidth(fitting), matched: true }
+        : { selected: lowestBandwidth(candidates), matched: false };
+    }
+
+    case 'maxBandwidth': {
+      const fitting = candidates.filter(
+        candidate => candidate.bandwidth <= policy.bandwidth
+      );
+      return fitting.length > 0
+        ? { selected: highestBandwidth(fitting), matched: true }
+        : { selected: lowestBandwidth(candidates), matched: false };
+    }
+
+    case 'resolution': {
+      const exact = candidates.filter(
+        candidate =>
+          candidate.height === policy.height &&
+          (policy.width === null || candidate.width === policy.width)
+      );
+      if (exact.length > 0) {
+        return { selected: highestBandwidth(exact), matched: true };
+      }
+
+      // Closest height, higher bandwidth breaking ties
+      const sized = candidates.filter(candidate => candidate.height);
+      if (sized.length === 0) {
+        return { selected: highestBandwidth(candidates), matched: false };
+      }
+      const distance = candidate => Math.abs(candidate.height - policy.height);
+      const closest = Math.min(...sized.map(distance));
+      return {
+        selected: highestBandwidth(
+          sized.filter(candidate => distance(candidate) === closest)
+        ),
+        matched: false,
+      };
+    }
+
+    default:
+      return { selected: highestBandwidth(candidates), matched: true };
+  }
+};
+
+// Public description of a variant or representation for the job status
+const describeRendition = rendition => ({
+  id: rendition.id ?? null,
+  bandwidth: rendition.bandwidth,
+  width: rendition.width ?? null,
+  height: rendition.height ?? null,
+  resolution:
+    rendition.width && rendition.height
+      ? `${rendition.width}x${rendition.height}`
+      : null,
+  quality: rendition.quality ?? null,
+  codecs: rendition.codecs ?? null,
+});
+
+// Selection record stored on the job: what was asked for, what was picked
+// and what else the manifest offered
+const describeSelection = (policy, candidates, { selected, matched }) => ({
+  policy: policy.label,
+  matched,
+  selected: selected ? describeRendition(selected) : null,
+  alternatives: candidates
+    .filter(candidate => candidate !== selected)
+    .sort((a, b) => b.bandwidth - a.bandwidth)
+    .map(describeRendition),
+});
+
+module.exports = {
+  DEFAULT_QUALITY_POLICY,
+  parseQualityPolicy,
+  selectByPolicy,
+  describeSelection,
+};
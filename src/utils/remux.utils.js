@@ -0,0 +1,840 @@
+const fs = require('fs/promises');
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  box,
+  fullBox,
+  packLanguage,
+  buildTitleMetadata,
+} = require('./mp4.utils');
+const { toIso6392 } = require('./language.utils');
+const {
+  TsDemuxer,
+  parseAdtsFrames,
+  readId3Timestamp,
+  splitNalUnits,
+} = require('./ts.utils');
+const {
+  parseAvcSps,
+  parseHevcSps,
+  buildAvcC,
+  buildHvcC,
+  buildEsds,
+} = require('./codec.utils');
+
+const MOVIE_TIMESCALE = 1000;
+const TS_TIMESCALE = 90000;
+const AAC_FRAME_SAMPLES = 1024;
+
+// A jump in decode time larger than this, or any step back, is treated as a
+// discontinuity (EXT-X-DISCONTINUITY, encoder restart) rather than a gap
+const DISCONTINUITY_THRESHOLD = 10 * TS_TIMESCALE;
+const TIMESTAMP_WRAP = 2 ** 33;
+
+// Sample data is written out in batches of this size
+const WRITE_BUFFER_SIZE = 1024 * 1024;
+
+// NAL unit types per codec: parameter sets go to the sample entry, access
+// unit delimiters are dropped, random access points become sync samples
+const NAL_TYPES = {
+  h264: {
+    type: nal => nal[0] & 0x1f,
+    parameterSets: { 7: 'sps', 8: 'pps' },
+    delimiter: 9,
+    isSync: type => type === 5,
+  },
+  h265: {
+    type: nal => (nal[0] >> 1) & 0x3f,
+    parameterSets: { 32: 'vps', 33: 'sps', 34: 'pps' },
+    delimiter: 35,
+    isSync: type => type >= 16 && type <= 23,
+  },
+};
+
+const u16 = value => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value, 0);
+  return buffer;
+};
+
+const u32 = value => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value, 0);
+  return buffer;
+};
+
+const i32 = value => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value, 0);
+  return buffer;
+};
+
+const u64 = value => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value), 0);
+  return buffer;
+};
+
+const UNITY_MATRIX = Buffer.concat(
+  [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000].map(u32)
+);
+
+// Keeps decode timestamps increasing across 33-bit wraparounds and
+// discontinuities by carrying an offset forward
+class Timeline {
+  constructor() {
+    this.offset = 0;
+    this.last = null;
+    this.step = 0;
+  }
+
+  adjust(timestamp) {
+    if (this.last === null) {
+      this.last = timestamp;
+      return timestamp;
+    }
+
+    let adjusted = timestamp + this.offset;
+    let delta = adjusted - this.last;
+
+    if (delta < -TIMESTAMP_WRAP / 2) {
+      this.offset += TIMESTAMP_WRAP;
+      adjusted += TIMESTAMP_WRAP;
+      delta += TIMESTAMP_WRAP;
+    }
+
+    if (delta < 0 || delta > DISCONTINUITY_THRESHOLD) {
+      const expected = this.last + (this.step || 3000);
+      this.offset += expected - adjusted;
+      adjusted = expected;
+      delta = adjusted - this.last;
+    }
+
+    if (delta > 0) this.step = delta;
+    this.last = adjusted;
+    return adjusted;
+  }
+}
+
+// Transport streams start with a sync byte, packed audio with an ID3 tag or
+// an ADTS header
+const isPackedAudio = async inputPath => {
+  const handle = await fs.open(inputPath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(3), 0, 3, 0);
+    const head = buffer.subarray(0, bytesRead);
+    return (
+      head.toString('latin1') === 'ID3' ||
+      (head[0] === 0xff && (head[1] & 0xf0) === 0xf0)
+    );
+  } finally {
+    await handle.close();
+  }
+};
+
+const createTrack = (id, kind, codec, language = null) => ({
+  id,
+  kind,
+  codec,
+  language,
+  // Set on audio tracks when there are several to choose from
+  alternateGroup: 0,
+  enabled: true,
+  timescale: kind === 'video' ? TS_TIMESCALE : null,
+  config: null,
+  sizes: [],
+  decodeTimes: [],
+  compositionOffsets: [],
+  syncSamples: [],
+  chunks: [],
+  firstPts: null,
+  timeline: new Timeline(),
+  parameterSets: { vps: [], sps: [], pps: [] },
+  adtsRemainder: null,
+});
+
+// Collects samples from one or more transport streams into tracks and
+// writes their data, in arrival order, to a temporary file
+class TsRemuxer {
+  constructor(dataPath) {
+    this.dataPath = dataPath;
+    this.tracks = [];
+    this.dataSize = 0;
+    this.pending = [];
+    this.pendingSize = 0;
+    this.lastTrack = null;
+    this.pesQueue = [];
+  }
+
+  async open() {
+    this.output = await fs.open(this.dataPath, 'w');
+  }
+
+  async close() {
+    await this.flushData();
+    await this.output?.close();
+  }
+
+  // Add the streams of the given kinds from one input. Video comes from
+  // the first input that has it, audio from the first stream of each input
+  // it is taken from, tagged with the input's language.
+  async addInput(inputPath, { kinds, language = null }) {
+    if (await isPackedAudio(inputPath)) {
+      if (kinds.includes('audio')) {
+        await this.addPackedAudio(inputPath, language);
+      }
+      return;
+    }
+
+    // The demuxer reports PES packets synchronously, they are queued and
+    // written out between file chunks
+    const demuxer = new TsDemuxer(pes => this.pesQueue.push(pes));
+
+    // Later streams of a kind (another audio language in the same input, a
+    // second video) are ignored
+    const pidTracks = new Map();
+    const trackFor = ({ pid, kind, codec }) => {
+      if (!pidTracks.has(pid)) {
+        const taken =
+          kind === 'video'
+            ? this.tracks.some(candidate => candidate.kind === 'video')
+            : [...pidTracks.values()].some(track => track?.kind === kind);
+
+        let track = null;
+        if (kinds.includes(kind) && !taken) {
+          track = createTrack(this.tracks.length + 1, kind, codec, language);
+          this.tracks.push(track);
+        }
+        pidTracks.set(pid, track);
+      }
+      return pidTracks.get(pid);
+    };
+
+    for await (const chunk of createReadStream(inputPath)) {
+      demuxer.push(chunk);
+      await this.drainPes(trackFor);
+    }
+    demuxer.flush();
+    await this.drainPes(trackFor);
+  }
+
+  // Packed audio is ADTS without a transport stream around it. The whole
+  // input is one audio track timed by the ID3 tag it starts with.
+  async addPackedAudio(inputPath, language) {
+    const track = createTrack(this.tracks.length + 1, 'audio', 'aac', language);
+    this.tracks.push(track);
+
+    let pts = null;
+    for await (const chunk of createReadStream(inputPath)) {
+      pts ??= readId3Timestamp(chunk) ?? 0;
+      await this.addAudioPes(track, { data: chunk, pts });
+    }
+  }
+
+  async drainPes(trackFor) {
+    const queue = this.pesQueue;
+    this.pesQueue = [];
+
+    for (const pes of queue) {
+      const track = trackFor(pes);
+      if (!track) continue;
+
+      if (track.kind === 'video') {
+        await this.addVideoPes(track, pes);
+      } else {
+        await this.addAudioPes(track, pes);
+      }
+    }
+  }
+
+  async addVideoPes(track, pes) {
+    const nalTypes = NAL_TYPES[track.codec];
+    const units = [];
+    let sync = false;
+
+    for (const nal of splitNalUnits(pes.data)) {
+      const type = nalTypes.type(nal);
+      const parameterSet = nalTypes.parameterSets[type];
+
+      if (type === nalTypes.delimiter) continue;
+
+      // Parameter sets live in the sample entry. In-band copies are only
+      // kept when they differ from it, e.g. after a resolution change.
+      if (parameterSet) {
+        const known = track.parameterSets[parameterSet];
+        if (!track.config && !known.some(unit => unit.equals(nal))) {
+          known.push(Buffer.from(nal));
+        }
+        if (!track.config || known.some(unit => unit.equals(nal))) continue;
+      }
+
+      if (nalTypes.isSync(type)) sync = true;
+      units.push(u32(nal.length), nal);
+    }
+
+    if (units.length === 0 || pes.dts === null) return;
+
+    if (!track.config) {
+      if (!sync || track.parameterSets.sps.length === 0) return;
+      track.config = this.buildVideoConfig(track);
+    }
+
+    const dts = track.timeline.adjust(pes.dts);
+    let compositionOffset = pes.pts - pes.dts;
+    if (compositionOffset < -TIMESTAMP_WRAP / 2) {
+      compositionOffset += TIMESTAMP_WRAP;
+    }
+    if (track.firstPts === null) track.firstPts = dts + compositionOffset;
+
+    if (sync) track.syncSamples.push(track.sizes.length + 1);
+    track.decodeTimes.push(dts);
+    track.compositionOffsets.push(compositionOffset);
+    await this.writeSample(track, Buffer.concat(units));
+  }
+
+  buildVideoConfig(track) {
+    const { vps, sps, pps } = track.parameterSets;
+
+    if (track.codec === 'h264') {
+      const info = parseAvcSps(sps[0]);
+      return {
+        width: info.width,
+        height: info.height,
+        entry: 'avc1',
+        box: buildAvcC(sps, pps),
+      };
+    }
+
+    const info = parseHevcSps(sps[0]);
+    return {
+      width: info.width,
+      height: info.height,
+      entry: 'hvc1',
+      box: buildHvcC(vps, sps, pps),
+    };
+  }
+
+  async addAudioPes(track, pes) {
+    const data = track.adtsRemainder
+      ? Buffer.concat([track.adtsRemainder, pes.data])
+      : pes.data;
+    const { frames, remainder } = parseAdtsFrames(data);
+    track.adtsRemainder = remainder.length > 0 ? Buffer.from(remainder) : null;
+
+    for (const frame of frames) {
+      if (!track.config) {
+        track.config = frame;
+        track.timescale = frame.sampleRate;
+        track.firstPts = pes.pts;
+      }
+      await this.writeSample(track, frame.data);
+    }
+  }
+
+  async writeSample(track, data) {
+    if (this.lastTrack === track) {
+      track.chunks[track.chunks.length - 1].count++;
+    } else {
+      track.chunks.push({ offset: this.dataSize, count: 1 });
+      this.lastTrack = track;
+    }
+
+    track.sizes.push(data.length);
+    this.pending.push(data);
+    this.pendingSize += data.length;
+    this.dataSize += data.length;
+
+    if (this.pendingSize >= WRITE_BUFFER_SIZE) {
+      await this.flushData();
+    }
+  }
+
+  async flushData() {
+    if (this.pending.length === 0) return;
+
+    await this.output.write(Buffer.concat(this.pending));
+    this.pending = [];
+    this.pendingSize = 0;
+  }
+}
+
+// Presentation time of every sample, in 90kHz PES time
+const samplePresentationTimes = track =>
+  track.kind === 'video'
+    ? track.decodeTimes.map(
+        (time, index) => time + track.compositionOffsets[index]
+      )
+    : track.sizes.map(
+        (_, index) =>
+          track.firstPts +
+          (index * AAC_FRAME_SAMPLES * TS_TIMESCALE) / track.timescale
+      );
+
+// Keep samples [first, end) of a track. Dropped samples stay in the data
+// file, only the sample tables stop pointing at them, so chunks are rebuilt
+// from the offsets of the samples that remain.
+const keepSamples = (track, first, end) => {
+  const offsets = [];
+  let sample = 0;
+  for (const chunk of track.chunks) {
+    let offset = chunk.offset;
+    for (let i = 0; i < chunk.count; i++, sample++) {
+      offsets.push(offset);
+      offset += track.sizes[sample];
+    }
+  }
+
+  const presentationTimes = samplePresentationTimes(track);
+  const sizes = track.sizes.slice(first, end);
+  const chunks = [];
+  offsets.slice(first, end).forEach((offset, index) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.end === offset) {
+      last.count++;
+      last.end += sizes[index];
+    } else {
+      chunks.push({ offset, count: 1, end: offset + sizes[index] });
+    }
+  });
+
+  Object.assign(track, {
+    sizes,
+    decodeTimes: track.decodeTimes.slice(first, end),
+    compositionOffsets: track.compositionOffsets.slice(first, end),
+    syncSamples: track.syncSamples
+      .filter(index => index > first && index <= end)
+      .map(index => index - first),
+    chunks: chunks.map(({ offset, count }) => ({ offset, count })),
+    firstPts: presentationTimes[first] ?? track.firstPts,
+  });
+};
+
+// findIndex result, or fallback when nothing matched
+const indexFrom = (index, fallback) => (index === -1 ? fallback : index);
+
+// Cut the tracks down to a clip. from and to are seconds after the first
+// video frame (or first sample when there is no video). Video starts on
+// the keyframe at or before from and ends on the last frame decoded before
+// to, audio is cut to match. Returns the start actually used, in the same
+// seconds.
+const trimTracks = (tracks, { start: from, end: to }) => {
+  const video = tracks.find(track => track.kind === 'video');
+  const origin = (video ?? tracks[0]).firstPts;
+  const endPts = origin + to * TS_TIMESCALE;
+  let startPts = origin + from * TS_TIMESCALE;
+  let keyframe = null;
+
+  if (video) {
+    const times = samplePresentationTimes(video);
+    const keyframes = video.syncSamples.map(index => index - 1);
+    keyframe =
+      keyframes.filter(index => times[index] <= startPts).pop() ??
+      keyframes[0] ??
+      0;
+    startPts = times[keyframe];
+  }
+
+  for (const track of tracks) {
+    // Video is cut in decode order so no frame loses its references
+    const times =
+      track === video ? track.decodeTimes : samplePresentationTimes(track);
+    const first =
+      track === video
+        ? keyframe
+        : indexFrom(
+            times.findIndex(time => time >= startPts),
+            times.length
+          );
+    const end = indexFrom(
+      times.findIndex((time, index) => index > first && time >= endPts),
+      times.length
+    );
+
+    keepSamples(track, first, end);
+  }
+
+  return (startPts - origin) / TS_TIMESCALE;
+};
+
+// Durations between decode times, the last sample repeats the one before
+const videoDurations = track =>
+  track.decodeTimes.map((time, index) => {
+    const next = track.decodeTimes[index + 1];
+    if (next !== undefined) return next - time;
+    return index > 0 ? time - track.decodeTimes[index - 1] : 3000;
+  });
+
+const sampleDurations = track =>
+  track.kind === 'video'
+    ? videoDurations(track)
+    : track.sizes.map(() => AAC_FRAME_SAMPLES);
+
+// Run-length encode values into [count, value] pairs
+const runLengths = values => {
+  const runs = [];
+  for (const value of values) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === value) {
+      last[0]++;
+    } else {
+      runs.push([1, value]);
+    }
+  }
+  return runs;
+};
+
+const buildSampleEntry = track => {
+  const reserved = Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]);
+
+  if (track.kind === 'video') {
+    const { width, height, entry } = track.config;
+    return box(
+      entry,
+      reserved,
+      Buffer.alloc(16),
+      u16(width),
+      u16(height),
+      u32(0x00480000),
+      u32(0x00480000),
+      u32(0),
+      u16(1),
+      Buffer.alloc(32),
+      u16(0x0018),
+      u16(0xffff),
+      track.config.box
+    );
+  }
+
+  return box(
+    'mp4a',
+    reserved,
+    Buffer.alloc(8),
+    u16(track.config.channelConfig || 2),
+    u16(16),
+    u32(0),
+    u32(Math.min(track.timescale, 0xffff) * 0x10000),
+    buildEsds(track.config)
+  );
+};
+
+const buildSampleTable = (track, durations, chunkBase, largeOffsets) => {
+  const boxes = [
+    fullBox('stsd', 0, 0, u32(1), buildSampleEntry(track)),
+    fullBox(
+      'stts',
+      0,
+      0,
+      ...(runs => [u32(runs.length), ...runs.flat().map(u32)])(
+        runLengths(durations)
+      )
+    ),
+  ];
+
+  if (track.compositionOffsets.some(offset => offset !== 0)) {
+    const runs = runLengths(track.compositionOffsets);
+    boxes.push(
+      fullBox(
+        'ctts',
+        1,
+        0,
+        u32(runs.length),
+        ...runs.flatMap(([count, offset]) => [u32(count), i32(offset)])
+      )
+    );
+  }
+
+  if (track.kind === 'video') {
+    boxes.push(
+      fullBox(
+        'stss',
+        0,
+        0,
+        u32(track.syncSamples.length),
+        ...track.syncSamples.map(u32)
+      )
+    );
+  }
+
+  const chunkRuns = [];
+  track.chunks.forEach((chunk, index) => {
+    const last = chunkRuns[chunkRuns.length - 1];
+    if (!last || last.count !== chunk.count) {
+      chunkRuns.push({ firstChunk: index + 1, count: chunk.count });
+    }
+  });
+
+  boxes.push(
+    fullBox(
+      'stsc',
+      0,
+      0,
+      u32(chunkRuns.length),
+      ...chunkRuns.flatMap(run => [u32(run.firstChunk), u32(run.count), u32(1)])
+    ),
+    fullBox(
+      'stsz',
+      0,
+      0,
+      u32(0),
+      u32(track.sizes.length),
+      ...track.sizes.map(u32)
+    ),
+    largeOffsets
+      ? fullBox(
+          'co64',
+          0,
+          0,
+          u32(track.chunks.length),
+          ...track.chunks.map(chunk => u64(chunkBase + chunk.offset))
+        )
+      : fullBox(
+          'stco',
+          0,
+          0,
+          u32(track.chunks.length),
+          ...track.chunks.map(chunk => u32(chunkBase + chunk.offset))
+        )
+  );
+
+  return box('stbl', ...boxes);
+};
+
+const toMovieTime = (value, timescale) =>
+  Math.round((value * MOVIE_TIMESCALE) / timescale);
+
+const buildTrak = (track, startTime, chunkBase, largeOffsets) => {
+  const durations = sampleDurations(track);
+  const mediaDuration = durations.reduce((total, value) => total + value, 0);
+  const movieDuration = toMovieTime(mediaDuration, track.timescale);
+  const isVideo = track.kind === 'video';
+
+  // Line the tracks up on the earliest presentation time, the first
+  // composition offset is skipped so video starts on its first frame
+  const delay = toMovieTime(
+    (track.firstPts ?? startTime) - startTime,
+    TS_TIMESCALE
+  );
+  const edits = [];
+  if (delay > 0) edits.push([delay, -1]);
+  edits.push([movieDuration, isVideo ? track.compositionOffsets[0] : 0]);
+
+  return box(
+    'trak',
+    fullBox(
+      'tkhd',
+      0,
+      track.enabled ? 3 : 2,
+      u32(0),
+      u32(0),
+      u32(track.id),
+      u32(0),
+      u32(movieDuration + Math.max(delay, 0)),
+      Buffer.alloc(8),
+      u16(0),
+      u16(track.alternateGroup),
+      u16(isVideo ? 0 : 0x0100),
+      u16(0),
+      UNITY_MATRIX,
+      u32(isVideo ? track.config.width * 0x10000 : 0),
+      u32(isVideo ? track.config.height * 0x10000 : 0)
+    ),
+    box(
+      'edts',
+      fullBox(
+        'elst',
+        0,
+        0,
+        u32(edits.length),
+        ...edits.flatMap(([duration, mediaTime]) => [
+          u32(duration),
+          i32(mediaTime),
+          u32(0x00010000),
+        ])
+      )
+    ),
+    box(
+      'mdia',
+      fullBox(
+        'mdhd',
+        0,
+        0,
+        u32(0),
+        u32(0),
+        u32(track.timescale),
+        u32(mediaDuration),
+        u16(packLanguage(toIso6392(track.language))),
+        u16(0)
+      ),
+      fullBox(
+        'hdlr',
+        0,
+        0,
+        u32(0),
+        Buffer.from(isVideo ? 'vide' : 'soun'),
+        Buffer.alloc(12),
+        Buffer.from(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+      ),
+      box(
+        'minf',
+        isVideo
+          ? fullBox('vmhd', 0, 1, Buffer.alloc(8))
+          : fullBox('smhd', 0, 0, Buffer.alloc(4)),
+        box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+        buildSampleTable(track, durations, chunkBase, largeOffsets)
+      )
+    )
+  );
+};
+
+const buildMoov = (tracks, chunkBase, largeOffsets, title) => {
+  // First presentation times are in 90kHz PES time for every track
+  const startTime = Math.min(
+    ...tracks.map(track => track.firstPts).filter(time => time !== null)
+  );
+  const traks = tracks.map(track =>
+    buildTrak(track, startTime, chunkBase, largeOffsets)
+  );
+  const duration = Math.max(
+    ...tracks.map(track =>
+      toMovieTime(
+        sampleDurations(track).reduce((total, value) => total + value, 0),
+        track.timescale
+      )
+    )
+  );
+
+  return box(
+    'moov',
+    fullBox(
+      'mvhd',
+      0,
+      0,
+      u32(0),
+      u32(0),
+      u32(MOVIE_TIMESCALE),
+      u32(duration),
+      u32(0x00010000),
+      u16(0x0100),
+      Buffer.alloc(10),
+      UNITY_MATRIX,
+      Buffer.alloc(24),
+      u32(tracks.length + 1)
+    ),
+    ...traks,
+    title ? buildTitleMetadata(title) : Buffer.alloc(0)
+  );
+};
+
+// Which streams to take from an input. Audio inputs (renditions, packed
+// audio) give one audio track each and replace the audio muxed into the
+// video.
+const inputKinds = (input, inputs, audioOnly) => {
+  if (input.type === 'audio') return ['audio'];
+  if (audioOnly) return [];
+  return inputs.some(other => other.type === 'audio')
+    ? ['video']
+    : ['video', 'audio'];
+};
+
+// Remux the H.264/H.265 and AAC streams of MPEG-TS files into a progressive
+// MP4 with its moov first, without re-encoding. inputs are { path, type,
+// language } with type 'video' or 'audio': video comes from the first
+// input that has it, each audio input adds an audio track in its language
+// (the first one playing by default), and without audio inputs the audio
+// muxed into the video is kept. Audio may be packed ADTS. trim ({ start,
+// end } in seconds, see trimTracks) keeps only part of the media,
+// audioOnly drops the video to write an M4A, title is stored as metadata.
+const remuxTsToMp4 = async (
+  inputs,
+  outputPath,
+  { trim, audioOnly = false, title } = {}
+) => {
+  const dataPath = `${outputPath}.mdat`;
+  const remuxer = new TsRemuxer(dataPath);
+
+  try {
+    await remuxer.open();
+    try {
+      for (const input of inputs) {
+        await remuxer.addInput(input.path, {
+          kinds: inputKinds(input, inputs, audioOnly),
+          language: input.language,
+        });
+      }
+    } finally {
+      await remuxer.close();
+    }
+
+    let tracks = remuxer.tracks.filter(
+      track => track.config && track.sizes.length > 0
+    );
+    let trimmedStart = null;
+    if (trim && tracks.length > 0) {
+      trimmedStart = trimTracks(tracks, trim);
+      tracks = tracks.filter(track => track.sizes.length > 0);
+    }
+    if (tracks.length === 0) {
+      throw new Error(
+        audioOnly
+          ? 'No AAC stream found in transport stream'
+          : 'No H.264, H.265 or AAC stream found in transport stream'
+      );
+    }
+    tracks.forEach((track, index) => {
+      track.id = index + 1;
+    });
+
+    // Several audio tracks are alternatives of each other
+    const audioTracks = tracks.filter(track => track.kind === 'audio');
+    if (audioTracks.length > 1) {
+      audioTracks.forEach((track, index) => {
+        track.alternateGroup = 1;
+        track.enabled = index === 0;
+      });
+    }
+
+    const ftyp = audioOnly
+      ? box('ftyp', Buffer.from('M4A '), u32(0), Buffer.from('M4A mp42isom'))
+      : box(
+          'ftyp',
+          Buffer.from('isom'),
+          u32(0x200),
+          Buffer.from('isomiso2avc1mp41')
+        );
+    const largeOffsets = remuxer.dataSize > 0xffffffff - 0x1000000;
+    const mdatHeader = largeOffsets
+      ? Buffer.concat([u32(1), Buffer.from('mdat'), u64(remuxer.dataSize + 16)])
+      : Buffer.concat([u32(remuxer.dataSize + 8), Buffer.from('mdat')]);
+
+    // The moov size does not depend on the offsets it holds
+    const moovSize = buildMoov(tracks, 0, largeOffsets, title).length;
+    const moov = buildMoov(
+      tracks,
+      ftyp.length + moovSize + mdatHeader.length,
+      largeOffsets,
+      title
+    );
+
+    const output = createWriteStream(outputPath);
+    output.write(ftyp);
+    output.write(moov);
+    output.write(mdatHeader);
+    await pipeline(createReadStream(dataPath), output);
+
+    return {
+      tracks: tracks.map(track => ({
+        kind: track.kind,
+        codec: track.codec,
+        language: track.language,
+        sampleCount: track.sizes.length,
+      })),
+      trimmedStart,
+    };
+  } finally {
+    await fs.rm(dataPath, { force: true });
+  }
+};
+
+module.exports = {
+  remuxTsToMp4,
+};
@@ -0,0 +1,133 @@
+// Outbound request guard. Media urls come from the extension, so the
+// pipeline must not be usable to reach loopback, private or link-local
+// hosts unless they are allowlisted in the download config.
+
+const dns = require('dns');
+const net = require('net');
+const logger = require('../configs/logger.config');
+const { OUTBOUND_ALLOWLIST } = require('../configs/download.config');
+
+// Loopback, private, link-local, shared, documentation, multicast and
+// reserved space. IPv4-mapped IPv6 addresses are matched against the IPv4
+// rules by BlockList itself.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_RANGES) {
+  blockedAddresses.addSubnet(address, prefix, family);
+}
+
+// Allowlist entries are either hostnames or addresses with an optional
+// /prefix
+const allowedHosts = new Set();
+const allowedAddresses = new net.BlockList();
+for (const entry of OUTBOUND_ALLOWLIST) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+
+  if (family) {
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    const bits = prefix === undefined ? (family === 4 ? 32 : 128) : +prefix;
+    allowedAddresses.addSubnet(address, bits, type);
+  } else {
+    allowedHosts.add(entry.toLowerCase());
+  }
+}
+
+const familyOf = address => (net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+const isAllowedAddress = address => {
+  const family = familyOf(address);
+  return (
+    allowedAddresses.check(address, family) ||
+    !blockedAddresses.check(address, family)
+  );
+};
+
+// URL keeps IPv6 literals in brackets
+const bareHostname = hostname => hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// target is the url, or only the host when raised while connecting
+const blockedError = (target, reason, address = null) => {
+  const error = new Error(`Blocked request to ${reason}: ${target}`);
+  error.code = 'SSRF_BLOCKED';
+  error.details = { target, address, reason };
+  logger.warn('Blocked outbound request', error.details);
+  return error;
+};
+
+// Checks that need no DNS: scheme, and the host when it is an address.
+// Hostnames are resolved and checked by guardedLookup when connecting.
+const assertAllowedUrl = url => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw blockedError(url, 'an invalid url');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw blockedError(url, `unsupported protocol ${parsed.protocol}`);
+  }
+
+  const hostname = bareHostname(parsed.hostname);
+  if (
+    !allowedHosts.has(hostname) &&
+    net.isIP(hostname) &&
+    !isAllowedAddress(hostname)
+  ) {
+    throw blockedError(url, 'a private address', hostname);
+  }
+};
+
+// Lookup used by axios for every connection, including each redirect hop.
+// DNS is resolved before connecting and the connection goes to the address
+// that was checked, so rebinding between check and request does not help.
+// Resolves to the [address, family] pair axios expects.
+const guardedLookup = async hostname => {
+  const host = bareHostname(hostname);
+  const addresses = await dns.promises.lookup(host, { all: true });
+
+  if (!allowedHosts.has(host)) {
+    const blocked = addresses.find(({ address }) => !isAllowedAddress(address));
+    if (blocked) {
+      throw blockedError(host, 'a private address', blocked.address);
+    }
+  }
+
+  return [addresses[0].address, addresses[0].family];
+};
+
+// follow-redirects hook, runs before each hop. Address literals never go
+// through lookup, so they are checked here.
+const beforeRedirect = options => {
+  assertAllowedUrl(options.href);
+};
+
+module.exports = {
+  assertAllowedUrl,
+  guardedLookup,
+  beforeRedirect,
+};
@@ -0,0 +1,165 @@
+// WebVTT handling for subtitle downloads: parsing, stitching the segments
+// of an HLS subtitle playlist into one file, and conversion to SRT.
+
+const TS_TIMESCALE = 90000;
+
+// Cue timing line, e.g. "00:01.000 --> 00:00:04.500 align:start"
+const TIMING_LINE =
+  /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+
+// "hh:mm:ss.ttt" or "mm:ss.ttt" in seconds
+const parseTimestamp = value =>
+  value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+const formatTimestamp = (seconds, separator = '.') => {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds / 60000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(milliseconds % 1000, 3)}`;
+};
+
+// X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000 ties cue times to the
+// media's 90kHz timestamps
+const parseTimestampMap = line => {
+  const mpegts = /MPEGTS:(\d+)/.exec(line);
+  const local = /LOCAL:((?:\d+:)?\d{2}:\d{2}\.\d{3})/.exec(line);
+  if (!mpegts || !local) return null;
+
+  return { mpegts: Number(mpegts[1]), local: parseTimestamp(local[1]) };
+};
+
+// Parse a WebVTT file into its cues and timestamp map. NOTE, STYLE and
+// REGION blocks are dropped.
+const parseWebVtt = text => {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  if (!/^WEBVTT\b/.test(blocks[0] ?? '')) {
+    throw new Error('Subtitle file is not WebVTT');
+  }
+
+  const timestampLine = blocks[0]
+    .split('\n')
+    .find(line => line.startsWith('X-TIMESTAMP-MAP='));
+  const cues = [];
+
+  for (const block of blocks.slice(1)) {
+    const lines = block.split('\n').filter(line => line !== '');
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    if (timingIndex === -1 || timingIndex > 1) continue;
+
+    const [, start, end, settings] = TIMING_LINE.exec(lines[timingIndex]);
+    cues.push({
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      settings: settings.trim(),
+      text: lines.slice(timingIndex + 1).join('\n'),
+    });
+  }
+
+  return {
+    timestampMap: timestampLine ? parseTimestampMap(timestampLine) : null,
+    cues,
+  };
+};
+
+// Join WebVTT parts ({ text, offset }) into one cue list. Segments of an
+// HLS subtitle playlist are lined up through their timestamp maps, taking
+// the first segment's map as the origin; offset moves a part's cues, e.g.
+// to the start of its DASH period. A cue repeated in the next segment, as
+// segmenters do for cues crossing a boundary, is merged back into one.
+const stitchWebVtt = parts => {
+  const cues = [];
+  let origin = null;
+
+  for (const { text, offset = 0 } of parts) {
+    const { timestampMap, cues: partCues } = parseWebVtt(text);
+
+    let shift = offset;
+    if (timestampMap) {
+      origin ??= timestampMap;
+      shift +=
+        (timestampMap.mpegts - origin.mpegts) / TS_TIMESCALE -
+        (timestampMap.local - origin.local);
+    }
+
+    for (const cue of partCues) {
+      const shifted = {
+        ...cue,
+        start: cue.start + shift,
+        end: cue.end + shift,
+      };
+      const previous = cues.find(
+        candidate =>
+          candidate.text === shifted.text &&
+          candidate.settings === shifted.settings &&
+          shifted.start <= candidate.end + 0.001 &&
+          shifted.end >= candidate.start - 0.001
+      );
+
+      if (previous) {
+        previous.start = Math.min(previous.start, shifted.start);
+        previous.end = Math.max(previous.end, shifted.end);
+      } else {
+        cues.push(shifted);
+      }
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+// Cues of a clip: times move by -start and only cues overlapping the clip
+// are kept
+const clipCues = (cues, { start, end = Infinity }) =>
+  cues
+    .filter(cue => cue.end > start && cue.start < end)
+    .map(cue => ({
+      ...cue,
+      start: Math.max(0, cue.start - start),
+      end: Math.min(end, cue.end) - start,
+    }));
+
+const serializeWebVtt = cues =>
+  [
+    'WEBVTT',
+    ...cues.map(cue =>
+      [
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+        cue.text,
+      ].join('\n')
+    ),
+  ].join('\n\n') + '\n';
+
+// SRT only knows <b>, <i>, <u> and <font>: WebVTT class, voice, language
+// and ruby tags are stripped, leaving their text, and timestamp tags go
+const toSrtText = text =>
+  text
+    .replace(/<\d[^>]*>/g, '')
+    .replace(/<\/?(?:c|v|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+const webVttToSrt = text =>
+  parseWebVtt(text)
+    .cues.map((cue, index) =>
+      [
+        index + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        toSrtText(cue.text),
+      ].join('\n')
+    )
+    .join('\n\n') + '\n';
+
+module.exports = {
+  stitchWebVtt,
+  clipCues,
+  serializeWebVtt,
+  webVttToSrt,
+};
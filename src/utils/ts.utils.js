@@ -0,0 +1,278 @@
+// MPEG-2 transport stream demuxing: packets, PAT/PMT, PES, plus the ADTS
+// and Annex B framing of the elementary streams HLS carries
+
+const TS_PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const PAT_PID = 0;
+
+// PMT stream_type values we can remux
+const STREAM_TYPES = {
+  0x1b: { codec: 'h264', kind: 'video' },
+  0x24: { codec: 'h265', kind: 'video' },
+  0x0f: { codec: 'aac', kind: 'audio' },
+};
+
+const ADTS_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+  8000, 7350,
+];
+
+// 33-bit PES timestamp spread over five bytes with marker bits
+const readTimestamp = (data, offset) =>
+  ((data[offset] >> 1) & 0x07) * 2 ** 30 +
+  data[offset + 1] * 2 ** 22 +
+  (data[offset + 2] >> 1) * 2 ** 15 +
+  data[offset + 3] * 2 ** 7 +
+  (data[offset + 4] >> 1);
+
+const parsePes = data => {
+  if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) {
+    return null;
+  }
+
+  const packetLength = data.readUInt16BE(4);
+  const flags = data[7];
+  const headerLength = data[8];
+  const pts = flags & 0x80 ? readTimestamp(data, 9) : null;
+  const dts = flags & 0x40 ? readTimestamp(data, 14) : pts;
+  const end = packetLength > 0 ? 6 + packetLength : data.length;
+
+  return { pts, dts, data: data.subarray(9 + headerLength, end) };
+};
+
+// Streaming demuxer. Feed it the file with push() and finish with flush();
+// every complete PES packet of a supported stream goes to onPes.
+class TsDemuxer {
+  constructor(onPes) {
+    this.onPes = onPes;
+    this.pmtPid = null;
+    this.streams = new Map();
+    this.leftover = null;
+  }
+
+  push(chunk) {
+    const data = this.leftover ? Buffer.concat([this.leftover, chunk]) : chunk;
+    let offset = 0;
+
+    while (offset + TS_PACKET_SIZE <= data.length) {
+      if (data[offset] !== SYNC_BYTE) {
+        // Lost sync, skip to the next candidate packet start
+        const next = data.indexOf(SYNC_BYTE, offset + 1);
+        offset = next === -1 ? data.length : next;
+        continue;
+      }
+
+      this.parsePacket(data.subarray(offset, offset + TS_PACKET_SIZE));
+      offset += TS_PACKET_SIZE;
+    }
+
+    this.leftover =
+      offset < data.length ? Buffer.from(data.subarray(offset)) : null;
+  }
+
+  flush() {
+    for (const [pid, stream] of this.streams) {
+      this.flushPes(pid, stream);
+    }
+  }
+
+  parsePacket(packet) {
+    const payloadStart = (packet[1] & 0x40) !== 0;
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const adaptationControl = (packet[3] >> 4) & 0x03;
+
+    if (adaptationControl === 0 || adaptationControl === 2) return;
+
+    let offset = 4;
+    if (adaptationControl === 3) {
+      offset += 1 + packet[4];
+    }
+    if (offset >= TS_PACKET_SIZE) return;
+
+    const payload = packet.subarray(offset);
+
+    if (pid === PAT_PID) {
+      if (payloadStart) this.parsePat(payload);
+    } else if (pid === this.pmtPid) {
+      if (payloadStart) this.parsePmt(payload);
+    } else if (this.streams.has(pid)) {
+      const stream = this.streams.get(pid);
+      if (payloadStart) {
+        this.flushPes(pid, stream);
+        stream.chunks = [];
+      }
+      // Payload before the first unit start belongs to an earlier PES
+      if (stream.chunks) stream.chunks.push(payload);
+    }
+  }
+
+  flushPes(pid, stream) {
+    if (!stream.chunks || stream.chunks.length === 0) return;
+
+    const pes = parsePes(Buffer.concat(stream.chunks));
+    stream.chunks = null;
+
+    if (pes) {
+      this.onPes({ pid, ...stream.type, ...pes });
+    }
+  }
+
+  // PSI sections start after the pointer field, both tables fit a packet
+  parsePat(payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+
+    for (let offset = 8; offset + 4 <= 3 + sectionLength - 4; offset += 4) {
+      const programNumber = section.readUInt16BE(offset);
+      if (programNumber !== 0) {
+        this.pmtPid = ((section[offset + 2] & 0x1f) << 8) | section[offset + 3];
+        return;
+      }
+    }
+  }
+
+  parsePmt(payload) {
+    const section = payload.subarray(1 + payload[0]);
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+    const end = 3 + sectionLength - 4;
+
+    let offset = 12 + programInfoLength;
+    while (offset + 5 <= end) {
+      const streamType = section[offset];
+      const pid = ((section[offset + 1] & 0x1f) << 8) | section[offset + 2];
+      const infoLength =
+        ((section[offset + 3] & 0x0f) << 8) | section[offset + 4];
+
+      if (STREAM_TYPES[streamType] && !this.streams.has(pid)) {
+        this.streams.set(pid, { type: STREAM_TYPES[streamType], chunks: null });
+      }
+
+      offset += 5 + infoLength;
+    }
+  }
+}
+
+// ID3v2 sizes are syncsafe: 7 bits per byte
+const readSyncsafe = (data, offset) =>
+  (data[offset] << 21) |
+  (data[offset + 1] << 14) |
+  (data[offset + 2] << 7) |
+  data[offset + 3];
+
+// Length of the ID3v2 tag at offset, 0 when there is none and null when
+// the tag continues past the end of data
+const id3TagLength = (data, offset = 0) => {
+  if (data.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+  if (offset + 10 > data.length) return null;
+
+  const hasFooter = data[offset + 5] & 0x10;
+  const length = 10 + readSyncsafe(data, offset + 6) + (hasFooter ? 10 : 0);
+  return offset + length > data.length ? null : length;
+};
+
+const TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp\0';
+
+// Packed audio segments (HLS .aac renditions) open with an ID3 tag whose
+// PRIV frame holds the 90kHz timestamp of their first sample. Returns null
+// when data does not start with such a tag.
+const readId3Timestamp = data => {
+  const tagLength = id3TagLength(data);
+  if (!tagLength) return null;
+
+  const version = data[3];
+  let offset = 10;
+  while (offset + 10 <= tagLength) {
+    const id = data.toString('latin1', offset, offset + 4);
+    const size =
+      version >= 4
+        ? readSyncsafe(data, offset + 4)
+        : data.readUInt32BE(offset + 4);
+    const body = data.subarray(offset + 10, offset + 10 + size);
+
+    if (
+      id === 'PRIV' &&
+      body.length === TIMESTAMP_OWNER.length + 8 &&
+      body.toString('latin1', 0, TIMESTAMP_OWNER.length) === TIMESTAMP_OWNER
+    ) {
+      return Number(
+        body.readBigUInt64BE(TIMESTAMP_OWNER.length) & 0x1ffffffffn
+      );
+    }
+    if (size === 0) break;
+    offset += 10 + size;
+  }
+
+  return null;
+};
+
+// Split ADTS frames off an AAC stream. Returns the raw frames and whatever
+// trailing bytes belong to a frame continued in the next PES. ID3 tags
+// between frames, as in packed audio, are skipped.
+const parseAdtsFrames = data => {
+  const frames = [];
+  let offset = 0;
+
+  while (offset + 7 <= data.length) {
+    if (data[offset] !== 0xff || (data[offset + 1] & 0xf0) !== 0xf0) {
+      const tagLength = id3TagLength(data, offset);
+      if (tagLength === null) break;
+      offset += tagLength || 1;
+      continue;
+    }
+
+    const protectionAbsent = data[offset + 1] & 0x01;
+    const headerLength = protectionAbsent ? 7 : 9;
+    const frameLength =
+      ((data[offset + 3] & 0x03) << 11) |
+      (data[offset + 4] << 3) |
+      (data[offset + 5] >> 5);
+
+    if (frameLength < headerLength) {
+      offset++;
+      continue;
+    }
+    if (offset + frameLength > data.length) break;
+
+    const samplingFrequencyIndex = (data[offset + 2] >> 2) & 0x0f;
+    frames.push({
+      objectType: (data[offset + 2] >> 6) + 1,
+      samplingFrequencyIndex,
+      sampleRate: ADTS_SAMPLE_RATES[samplingFrequencyIndex],
+      channelConfig: ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6),
+      data: data.subarray(offset + headerLength, offset + frameLength),
+    });
+
+    offset += frameLength;
+  }
+
+  return { frames, remainder: data.subarray(offset) };
+};
+
+// Split an Annex B byte stream on its 00 00 01 start codes
+const splitNalUnits = data => {
+  const startCode = Buffer.from([0, 0, 1]);
+  const units = [];
+  let start = data.indexOf(startCode);
+
+  while (start !== -1) {
+    const from = start + 3;
+    const next = data.indexOf(startCode, from);
+    let end = next === -1 ? data.length : next;
+
+    // A four byte start code leaves its leading zero on the previous unit
+    while (end > from && data[end - 1] === 0) end--;
+
+    if (end > from) units.push(data.subarray(from, end));
+    start = next;
+  }
+
+  return units;
+};
+
+module.exports = {
+  TsDemuxer,
+  parseAdtsFrames,
+  readId3Timestamp,
+  splitNalUnits,
+};
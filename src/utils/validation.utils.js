@@ -0,0 +1,20 @@
+const { createHttpError } = require('./error.utils');
+
+// Unknown keys are reported once per key so clients see which field to drop
+const toFieldErrors = issue =>
+  issue.code === 'unrecognized_keys'
+    ? issue.keys.map(key => ({
+        field: [...issue.path, key].join('.'),
+        message: 'Unknown field',
+      }))
+    : [{ field: issue.path.join('.') || null, message: issue.message }];
+
+// Turn zod issues into a 400 listing every field that failed
+const createValidationError = (error, message = 'Invalid request body') =>
+  createHttpError(400, message, {
+    errors: error.issues.flatMap(toFieldErrors),
+  });
+
+module.exports = {
+  createValidationError,
+};
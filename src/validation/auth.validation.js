@@ -0,0 +1,26 @@
+const { z } = require('zod');
+const { PAIRING_CODE_LENGTH } = require('../configs/auth.config');
+const { createValidationError } = require('../utils/validation.utils');
+
+const pairSchema = z.strictObject({
+  code: z
+    .string()
+    .trim()
+    .regex(
+      new RegExp(`^\\d{${PAIRING_CODE_LENGTH}}$`),
+      `Expected the ${PAIRING_CODE_LENGTH} digit code shown by the server`
+    ),
+  name: z.string().trim().min(1).max(100).default('Browser extension'),
+});
+
+const validatePairing = async (req, res, next) => {
+  const result = pairSchema.safeParse(req.body ?? {});
+  if (!result.success) {
+    return next(createValidationError(result.error));
+  }
+
+  req.body = result.data;
+  next();
+};
+
+module.exports = validatePairing;
@@ -1,24 +1,87 @@
+const { z } = require('zod');
 const logger = require('../configs/logger.config');
+const { getEventCategory } = require('../configs/event-categories.config');
+const { createValidationError } = require('../utils/validation.utils');
 
+const userFields = {
+  userId: z.string().trim().min(1).max(200).optional(),
+  userEmail: z.email().optional(),
+};
+
+const createEventSchema = z.strictObject({
+  category: z.string().trim().min(1).max(100),
+  fields: z.record(z.string(), z.unknown()).default({}),
+  ...userFields,
+});
+
+const milestoneSchema = z.strictObject({
+  userId: z.string().trim().min(1).max(200),
+  userEmail: z.email(),
+  milestone: z.string().max(200).optional(),
+  sessionId: z.string().max(200).optional(),
+});
+
+const prefixIssues = (error, prefix) => ({
+  issues: error.issues.map(issue => ({
+    ...issue,
+    path: [prefix, ...issue.path],
+  })),
+});
+
+// Check the body shape, then the fields against the category's schema
 const validateEvents = async (req, res, next) => {
-  try {
-    const { category, fields, userId, userEmail } = req.body;
+  const result = createEventSchema.safeParse(req.body ?? {});
+  if (!result.success) {
+    return next(createValidationError(result.error));
+  }
 
-    console.log('validating events');
+  const { category, fields } = result.data;
+  const definition = getEventCategory(category);
 
-    // Log validation details for debugging
-    logger.info('Event validation started', {
+  if (!definition) {
+    logger.warn('Rejected event with unknown category', { category });
+    return next(
+      createValidationError(
+        {
+          issues: [
+            {
+              path: ['category'],
+              message:
+                'Not a registered category, see GET /api/events/categories',
+            },
+          ],
+        },
+        'Unknown event category'
+      )
+    );
+  }
+
+  const parsedFields = definition.fields.safeParse(fields);
+  if (!parsedFields.success) {
+    logger.warn('Rejected event with invalid fields', {
       category,
-      hasFields: !!fields,
-      hasUserId: !!userId,
-      hasUserEmail: !!userEmail,
+      issueCount: parsedFields.error.issues.length,
     });
+    return next(
+      createValidationError(prefixIssues(parsedFields.error, 'fields'))
+    );
+  }
+
+  req.body = { ...result.data, fields: parsedFields.data };
+  next();
+};
 
-    next();
-  } catch (error) {
-    logger.error('Error validating events', error);
-    next(error);
+const validateMilestone = async (req, res, next) => {
+  const result = milestoneSchema.safeParse(req.body ?? {});
+  if (!result.success) {
+    return next(createValidationError(result.error));
   }
+
+  req.body = result.data;
+  next();
 };
 
-module.exports = validateEvents;
\ No newline at end of file
+module.exports = {
+  validateEvents,
+  validateMilestone,
+};
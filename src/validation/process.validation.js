@@ -1,14 +1,197 @@
+const { z } = require('zod');
 const logger = require('../configs/logger.config');
+const { LIVE_MAX_DURATION_LIMIT } = require('../configs/download.config');
+const { parseQualityPolicy } = require('../utils/quality.utils');
+const { createValidationError } = require('../utils/validation.utils');
 
+const MAX_STREAMS = 200;
+const MAX_COOKIES = 300;
+const MAX_SUBTITLES = 50;
+const MAX_AUDIO_LANGUAGES = 10;
+
+// The extension sends null or '' for values it could not detect
+const blankToUndefined = value =>
+  value === null || (typeof value === 'string' && value.trim() === '')
+    ? undefined
+    : value;
+
+const optionalString = max =>
+  z.preprocess(blankToUndefined, z.string().trim().max(max).optional());
+
+const optionalNumber = z.preprocess(
+  blankToUndefined,
+  z.coerce.number().finite().nonnegative().optional()
+);
+
+// Only web urls, the server never reads files or other schemes
+const url = z
+  .string()
+  .trim()
+  .pipe(z.url({ protocol: /^https?$/, error: 'Expected an http(s) url' }));
+
+const isWebUrl = value => url.safeParse(value).success;
+
+// BCP 47 tags such as en, en-US or pt-BR
+const languageTag = z
+  .string()
+  .trim()
+  .regex(
+    /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/,
+    'Expected a language tag such as en or pt-BR'
+  );
+
+// Keep the first entry for each url, the extension reports a stream again
+// on every request it sees for it
+const dedupeByUrl = streams => {
+  const seen = new Set();
+  return streams.filter(stream => {
+    if (seen.has(stream.url)) return false;
+    seen.add(stream.url);
+    return true;
+  });
+};
+
+const capturedStream = {
+  url,
+  quality: optionalString(50),
+  timestamp: optionalNumber,
+  domain: optionalString(255),
+};
+
+const m3u8UrlSchema = z.strictObject(capturedStream);
+
+const detectedStreamSchema = z.strictObject({
+  ...capturedStream,
+  format: optionalString(20),
+  type: optionalString(50),
+});
+
+// <track kind="subtitles|captions"> elements of the video
+const subtitleSchema = z.strictObject({
+  url,
+  language: optionalString(35),
+  label: optionalString(200),
+  kind: z.enum(['subtitles', 'captions']).default('subtitles'),
+});
+
+const cookieSchema = z.strictObject({
+  name: z.string().min(1).max(4096),
+  value: z.string().max(4096),
+  domain: z.string().trim().min(1).max(255),
+  path: optionalString(1024),
+  secure: z.boolean().optional(),
+  httpOnly: z.boolean().optional(),
+  sameSite: optionalString(20),
+});
+
+const metadataSchema = z.strictObject({
+  width: optionalNumber,
+  height: optionalNumber,
+  category: optionalString(100),
+  thumbnail: optionalString(2048),
+  streamAnalysis: z.record(z.string(), z.unknown()).nullish(),
+  streamCount: optionalNumber,
+  domain: optionalString(255),
+});
+
+const processFieldsSchema = z.strictObject({
+  // The video element's src, a blob: url for MSE players. The captured
+  // streams are what gets downloaded then, see processRequestSchema.
+  videoUrl: z.string().trim().min(1).max(8192),
+  title: optionalString(1000),
+  quality: optionalString(50),
+  platform: optionalString(50),
+  duration: optionalNumber,
+  metadata: metadataSchema.optional(),
+  m3u8Urls: z
+    .array(m3u8UrlSchema)
+    .max(MAX_STREAMS)
+    .default([])
+    .transform(dedupeByUrl),
+  detectedStreams: z
+    .array(detectedStreamSchema)
+    .max(MAX_STREAMS)
+    .default([])
+    .transform(dedupeByUrl),
+  subtitles: z
+    .array(subtitleSchema)
+    .max(MAX_SUBTITLES)
+    .default([])
+    .transform(dedupeByUrl),
+  cookies: z.array(cookieSchema).max(MAX_COOKIES).default([]),
+  sessionId: optionalString(200),
+  priority: z.enum(['high', 'normal', 'low']).default('normal'),
+  // Extract the audio into an .m4a instead of downloading the video
+  audioOnly: z.boolean().default(false),
+  // Audio languages in order of preference. The first one the stream has
+  // is downloaded, or all of them with multipleAudio; the stream's default
+  // audio when it has none of them.
+  audioLanguages: z.array(languageTag).max(MAX_AUDIO_LANGUAGES).default([]),
+  multipleAudio: z.boolean().default(false),
+  // Clip range in seconds from the start of the stream
+  startTime: optionalNumber,
+  endTime: optionalNumber,
+  // Seconds to record when the stream is live
+  maxDuration: z.preprocess(
+    blankToUndefined,
+    z.coerce.number().positive().max(LIVE_MAX_DURATION_LIMIT).optional()
+  ),
+  // Record a live stream from the start of its playlist window instead of
+  // the live edge
+  liveFromStart: z.boolean().default(false),
+  qualityPolicy: optionalString(50).refine(
+    policy => policy === undefined || parseQualityPolicy(policy) !== null,
+    'Expected best, worst, maxHeight:N, maxBandwidth:N, WIDTHxHEIGHT or Np'
+  ),
+});
+
+const processRequestSchema = processFieldsSchema
+  .refine(
+    ({ videoUrl, m3u8Urls, detectedStreams }) =>
+      m3u8Urls.length > 0 || detectedStreams.length > 0 || isWebUrl(videoUrl),
+    {
+      message: 'Expected an http(s) url when no stream is supplied',
+      path: ['videoUrl'],
+    }
+  )
+  .refine(
+    ({ startTime, endTime }) =>
+      startTime === undefined || endTime === undefined || endTime > startTime,
+    { message: 'endTime must be after startTime', path: ['endTime'] }
+  );
+
+// Resuming a failed job only takes fresh cookies, the rest is on the job
+const resumeRequestSchema = z.strictObject({
+  cookies: z.array(cookieSchema).max(MAX_COOKIES).default([]),
+});
+
+// Validate and normalize the /process body before it reaches analyseLink
 const validateLinks = async (req, res, next) => {
-  try {
-    const { link } = req.body;
-    console.log('validating link');
-    next();
-  } catch (error) {
-    logger.error('Error validating', error);
-    next(error);
+  const result = processRequestSchema.safeParse(req.body ?? {});
+
+  if (!result.success) {
+    logger.warn('Rejected video processing request', {
+      issueCount: result.error.issues.length,
+    });
+    return next(createValidationError(result.error));
   }
+
+  req.body = result.data;
+  next();
 };
 
-module.exports = validateLinks;
+const validateResume = async (req, res, next) => {
+  const result = resumeRequestSchema.safeParse(req.body ?? {});
+
+  if (!result.success) {
+    return next(createValidationError(result.error));
+  }
+
+  req.body = result.data;
+  next();
+};
+
+module.exports = {
+  validateLinks,
+  validateResume,
+};
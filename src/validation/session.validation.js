@@ -0,0 +1,24 @@
+const { z } = require('zod');
+const { createValidationError } = require('../utils/validation.utils');
+
+// installId is generated once per extension install and kept in
+// chrome.storage, it ties every session to that install
+const handshakeSchema = z.strictObject({
+  installId: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9-]{8,100}$/, 'Expected an install identifier'),
+  extensionVersion: z.string().trim().max(50).optional(),
+});
+
+const validateHandshake = async (req, res, next) => {
+  const result = handshakeSchema.safeParse(req.body ?? {});
+  if (!result.success) {
+    return next(createValidationError(result.error));
+  }
+
+  req.body = result.data;
+  next();
+};
+
+module.exports = validateHandshake;
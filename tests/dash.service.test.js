@@ -0,0 +1,119 @@
+jest.mock('../src/utils/http.utils', () => ({
+  fetchText: jest.fn(),
+  fetchBuffer: jest.fn(),
+}));
+
+const { fetchText, fetchBuffer } = require('../src/utils/http.utils');
+const { resolveTracks } = require('../src/services/dash.service');
+const { box, fullBox } = require('../src/utils/mp4.utils');
+
+const u32 = (...values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, index * 4));
+  return buffer;
+};
+
+const ftyp = box('ftyp', Buffer.from('isom'), u32(0), Buffer.from('isomdash'));
+const fragmentedMoov = box('moov', box('mvex', fullBox('trex', 0, 0, u32(1))));
+const progressiveMoov = box('moov', fullBox('mvhd', 0, 0, u32(0, 0, 1000)));
+const fragments = [1, 2].map(() =>
+  Buffer.concat([box('moof'), box('mdat', Buffer.alloc(32))])
+);
+
+// Version 0 sidx referencing each fragment, 2 seconds apiece
+const sidx = fullBox(
+  'sidx',
+  0,
+  0,
+  u32(1, 1000, 0, 0, fragments.length),
+  ...fragments.map(fragment => u32(fragment.length, 2000, 0x90000000))
+);
+
+// An audio-only manifest whose single representation has no Initialization
+const manifest = segmentBase => `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT4S">
+  <Period>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">
+      <Representation id="audio" bandwidth="128000" codecs="mp4a.40.2">
+        <BaseURL>audio.mp4</BaseURL>
+        ${segmentBase}
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+// Serve file as audio.mp4, honouring byte ranges
+const serve = (file, segmentBase) => {
+  fetchText.mockResolvedValue({
+    text: manifest(segmentBase),
+    url: 'https://cdn.example/dash/manifest.mpd',
+  });
+  fetchBuffer.mockImplementation(async (url, { byteRange } = {}) => {
+    if (!byteRange) return file;
+    const end =
+      byteRange.length === null
+        ? file.length
+        : byteRange.offset + byteRange.length;
+    return file.subarray(byteRange.offset, end);
+  });
+};
+
+const audioSegments = async () => {
+  const { tracks } = await resolveTracks(
+    'https://cdn.example/dash/manifest.mpd'
+  );
+  return tracks.find(track => track.type === 'audio').segments;
+};
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('resolveTracks without an Initialization element', () => {
+  it('takes the bytes before the sidx as the init segment', async () => {
+    const file = Buffer.concat([ftyp, fragmentedMoov, sidx, ...fragments]);
+    const sidxStart = ftyp.length + fragmentedMoov.length;
+    serve(
+      file,
+      `<SegmentBase indexRange="${sidxStart}-${sidxStart + sidx.length - 1}"/>`
+    );
+
+    const segments = await audioSegments();
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0].map).toEqual({
+      uri: 'https://cdn.example/dash/audio.mp4',
+      byteRange: { offset: 0, length: sidxStart },
+      key: null,
+    });
+    expect(segments[0].byteRange).toEqual({
+      offset: sidxStart + sidx.length,
+      length: fragments[0].length,
+    });
+  });
+
+  it('finds the leading ftyp and moov of a BaseURL-only file', async () => {
+    const file = Buffer.concat([ftyp, fragmentedMoov, ...fragments]);
+    const moovEnd = ftyp.length + fragmentedMoov.length;
+    serve(file, '');
+
+    const segments = await audioSegments();
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].map.byteRange).toEqual({ offset: 0, length: moovEnd });
+    expect(segments[0].byteRange).toEqual({ offset: moovEnd, length: null });
+  });
+
+  it('refuses progressive MP4 rather than treating it as MPEG-TS', async () => {
+    const file = Buffer.concat([
+      ftyp,
+      progressiveMoov,
+      box('mdat', Buffer.alloc(64)),
+    ]);
+    serve(file, '');
+
+    await expect(audioSegments()).rejects.toThrow(
+      'Progressive MP4 DASH representations are not supported'
+    );
+  });
+});
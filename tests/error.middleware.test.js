@@ -0,0 +1,47 @@
+jest.mock('../src/services/event.service', () => ({
+  trackError: jest.fn(),
+}));
+
+const errorMiddleware = require('../src/middlewares/error.middleware');
+const { createHttpError } = require('../src/utils/error.utils');
+
+const respond = async err => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(),
+  };
+  const req = { path: '/api/test', method: 'GET', get: () => undefined };
+
+  await errorMiddleware(err, req, res, () => {});
+  return {
+    status: res.status.mock.calls[0][0],
+    body: res.json.mock.calls[0][0],
+  };
+};
+
+describe('errorMiddleware', () => {
+  it('adds the error details to the response', async () => {
+    const { status, body } = await respond(
+      createHttpError(429, 'Too many requests', { retryAfter: 30 })
+    );
+
+    expect(status).toBe(429);
+    expect(body).toEqual({
+      retryAfter: 30,
+      error: 'Too Many Requests',
+      message: 'Too many requests',
+    });
+  });
+
+  it('keeps error and message when the details name them', async () => {
+    const { body } = await respond(
+      createHttpError(400, 'Invalid request', {
+        error: 'Overridden',
+        message: 'Overridden',
+      })
+    );
+
+    expect(body.error).toBe('Bad Request');
+    expect(body.message).toBe('Invalid request');
+  });
+});
@@ -0,0 +1,85 @@
+const { normalizeFragment } = require('../src/utils/fmp4.utils');
+const {
+  box,
+  fullBox,
+  parseTree,
+  findChild,
+  findChildren,
+} = require('../src/utils/mp4.utils');
+
+const u32 = (...values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, index * 4));
+  return buffer;
+};
+
+const u64 = value => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+};
+
+// A traf whose tfhd carries an absolute base data offset and whose single
+// sample starts dataOffset bytes past it
+const traf = (trackId, baseDataOffset, dataOffset) =>
+  box(
+    'traf',
+    fullBox('tfhd', 0, 0x000001, u32(trackId), u64(baseDataOffset)),
+    fullBox('trun', 0, 0x000001, u32(1, dataOffset))
+  );
+
+// One fragment of a segment found at fileOffset in the file its tfhd
+// offsets refer to. Each track has 4 bytes of samples in the mdat.
+const segment = (fileOffset, trackIds) => {
+  const build = moofSize =>
+    box(
+      'moof',
+      fullBox('mfhd', 0, 0, u32(1)),
+      ...trackIds.map((trackId, index) =>
+        traf(trackId, fileOffset, moofSize + 8 + index * 4)
+      )
+    );
+  const moof = build(build(0).length);
+  const samples = trackIds.map(trackId => u32(trackId * 0x11111111));
+  return Buffer.concat([moof, box('mdat', ...samples)]);
+};
+
+// Samples each trun of the normalized segment points at
+const readSamples = data => {
+  const [moof] = parseTree(data);
+  return findChildren(moof, 'traf').map(node => {
+    const tfhd = findChild(node, 'tfhd').payload;
+    const trun = findChild(node, 'trun').payload;
+    const offset = moof.start + trun.readInt32BE(8);
+    return {
+      trackId: tfhd.readUInt32BE(4),
+      sample: data.readUInt32BE(offset),
+    };
+  });
+};
+
+describe('normalizeFragment', () => {
+  it('rebases absolute offsets by the start of the byte range', () => {
+    const data = segment(5000, [1]);
+
+    const normalized = normalizeFragment(data, null, 5000);
+
+    expect(readSamples(normalized)).toEqual([
+      { trackId: 1, sample: 0x11111111 },
+    ]);
+  });
+
+  it('leaves out the tracks mapped to null', () => {
+    const data = segment(0, [1, 2]);
+    const trackMapping = new Map([
+      [1, null],
+      [2, { trackId: 3, descriptionIndexes: [1] }],
+    ]);
+
+    const normalized = normalizeFragment(data, trackMapping);
+
+    expect(readSamples(normalized)).toEqual([
+      { trackId: 3, sample: 0x22222222 },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+const { validateLinks } = require('../src/validation/process.validation');
+
+// Run the middleware and return what it passed to next()
+const validate = async body => {
+  const req = { body };
+  let result;
+  await validateLinks(req, {}, error => {
+    result = error ?? req.body;
+  });
+  return result;
+};
+
+const fieldsOf = error => error.details.errors.map(({ field }) => field);
+
+describe('validateLinks', () => {
+  it('accepts a blob: videoUrl when a stream is supplied', async () => {
+    const body = await validate({
+      videoUrl: 'blob:https://video.example/0d6e0c5f-3a43-4f0e-9d8c',
+      m3u8Urls: [{ url: 'https://cdn.example/live/master.m3u8' }],
+    });
+
+    expect(body).not.toBeInstanceOf(Error);
+    expect(body.videoUrl).toBe(
+      'blob:https://video.example/0d6e0c5f-3a43-4f0e-9d8c'
+    );
+  });
+
+  it('rejects a blob: videoUrl without any stream', async () => {
+    const error = await validate({
+      videoUrl: 'blob:https://video.example/0d6e0c5f-3a43-4f0e-9d8c',
+    });
+
+    expect(error.status).toBe(400);
+    expect(fieldsOf(error)).toEqual(['videoUrl']);
+  });
+
+  it('still rejects stream urls that are not http(s)', async () => {
+    const error = await validate({
+      videoUrl: 'blob:https://video.example/0d6e0c5f-3a43-4f0e-9d8c',
+      detectedStreams: [{ url: 'file:///etc/passwd.m3u8' }],
+    });
+
+    expect(error.status).toBe(400);
+    expect(fieldsOf(error)).toEqual(['detectedStreams.0.url']);
+  });
+});